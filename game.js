@@ -1,2416 +1,6584 @@
 import * as THREE from 'three';
 
-class GhibliSurvivors {
-    constructor() {
-        this.scene = null;
-        this.camera = null;
-        this.renderer = null;
-        this.clock = new THREE.Clock();
-        
-        // Game state
-        this.gameTime = 0;
-        this.health = 100;
-        this.score = 0;
-        this.gameRunning = false;
-        this.isPaused = false;
-        
-        // Progressive difficulty
-        this.baseSpawnInterval = 2000; // Base spawn interval in milliseconds
-        this.baseEnemySpeed = 2; // Base enemy speed
-        this.lastDifficultyUpdate = 0; // Track when difficulty was last updated
-        this.lastGiantSpawn = 0; // Track when last giant was spawned
-        
-        // Player
-        this.player = {
-            position: new THREE.Vector3(0, 1.7, 0), // Will be adjusted to terrain height
-            velocity: new THREE.Vector3(),
-            speed: 5,
-            rotation: new THREE.Euler(),
-            onGround: true
-        };
-        
-        // Controls
-        this.keys = {};
-        this.mouse = { x: 0, y: 0 };
-        this.mouseSpeed = 0.002;
-        
-        // Game objects
-        this.enemies = [];
-        this.bullets = [];
-        this.terrain = null;
-        
-        // Air wall boundaries (half the terrain size)
-        this.worldBounds = {
-            minX: -50,
-            maxX: 50,
-            minZ: -50,
-            maxZ: 50
-        };
-        
-        // Particle systems
-        this.particles = [];
-        this.fireflies = [];
-        this.muzzleFlashes = [];
-        this.dustParticles = [];
-        
-        // Audio system
-        this.audioContext = null;
-        this.sounds = {};
-        this.musicGain = null;
-        this.sfxGain = null;
-        this.backgroundMusic = null;
-        
-        this.init();
-        this.setupPlayAgainButton();
+// Small seeded PRNG (mulberry32) - returns a function producing floats in [0, 1) like Math.random
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Turn a ?seed= value into a 32-bit seed - numbers are used as-is, any other text is hashed
+function parseSeed(value) {
+    if (/^\d+$/.test(value)) {
+        return Number(value) >>> 0;
     }
     
-    init() {
-        this.setupScene();
-        this.setupControls();
-        this.createEnvironment();
-        this.createParticleSystems();
-        this.setupAudio();
-        this.startGame();
-        this.animate();
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+        hash = Math.imul(hash ^ value.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Seeded 2D value noise in [-1, 1] - random values on an integer lattice, smoothly interpolated between,
+// so any point can be sampled on demand without storing tiles
+function createValueNoise(seed) {
+    const lattice = (ix, iz) => {
+        let hash = Math.imul(ix, 0x27D4EB2D) ^ Math.imul(iz, 0x165667B1) ^ seed;
+        hash = Math.imul(hash ^ (hash >>> 15), 0x85EBCA6B);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+        hash ^= hash >>> 16;
+        return (hash >>> 0) / 2147483647.5 - 1;
+    };
+    
+    return (x, z) => {
+        const ix = Math.floor(x);
+        const iz = Math.floor(z);
+        const fx = x - ix;
+        const fz = z - iz;
+        
+        // Smoothstep fade hides the lattice grid
+        const sx = fx * fx * (3 - 2 * fx);
+        const sz = fz * fz * (3 - 2 * fz);
+        const near = THREE.MathUtils.lerp(lattice(ix, iz), lattice(ix + 1, iz), sx);
+        const far = THREE.MathUtils.lerp(lattice(ix, iz + 1), lattice(ix + 1, iz + 1), sx);
+        return THREE.MathUtils.lerp(near, far, sz);
+    };
+}
+
+// Uniform grid over the XZ plane for neighbourhood, radius, segment and nearest queries. Items stay in the
+// grid until removed; update() only re-buckets an item when it crosses into different cells.
+class SpatialHash {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.entries = new Map(); // item -> { x, z, radius, minX, maxX, minZ, maxZ }
     }
     
-    setupPlayAgainButton() {
-        const playAgainBtn = document.getElementById('playAgainBtn');
-        if (playAgainBtn) {
-            playAgainBtn.addEventListener('click', () => {
-                this.restartGame();
-            });
-        }
+    get size() {
+        return this.entries.size;
     }
     
-    restartGame() {
-        // Hide game over UI
-        document.getElementById('gameOverUI').style.display = 'none';
-        
-        // Clear all existing game objects
-        this.clearGameObjects();
-        
-        // Reset game state
-        this.gameTime = 0;
-        this.health = 100;
-        this.score = 0;
-        this.gameRunning = false;
-        this.isPaused = false;
-        this.enemies = [];
-        this.bullets = [];
-        this.particles = [];
-        this.muzzleFlashes = [];
-        
-        // Reset player position
-        this.player.position.set(0, 1.7, 0);
-        this.mouse.x = 0;
-        this.mouse.y = 0;
-        
-        // Position player properly on terrain
-        this.positionPlayerOnTerrain();
-        
-        // Update camera
-        this.camera.position.copy(this.player.position);
-        this.camera.rotation.set(0, 0, 0);
-        
-        // Update player light
-        if (this.playerLight) {
-            this.playerLight.position.copy(this.player.position);
-            this.playerLight.position.y += 0.5;
-            const direction = new THREE.Vector3(0, 0, -1);
-            this.playerLight.target.position.copy(this.player.position).add(direction.multiplyScalar(10));
+    cellKey(cellX, cellZ) {
+        return `${cellX},${cellZ}`;
+    }
+    
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+    }
+    
+    has(item) {
+        return this.entries.has(item);
+    }
+    
+    insert(item, x, z, radius = 0) {
+        // Items with a radius are added to every cell their bounding square touches
+        if (this.entries.has(item)) {
+            this.update(item, x, z, radius);
+            return;
         }
         
-        // Start new game
-        this.startGame();
-        
-        // Request pointer lock for new game
-        this.renderer.domElement.requestPointerLock();
+        const entry = { x, z, radius, minX: 0, maxX: -1, minZ: 0, maxZ: -1 };
+        this.entries.set(item, entry);
+        this.bucket(item, entry);
     }
     
-    clearGameObjects() {
-        // Remove all enemies
-        this.enemies.forEach(enemy => {
-            this.scene.remove(enemy);
-        });
+    update(item, x, z, radius) {
+        const entry = this.entries.get(item);
+        if (!entry) {
+            this.insert(item, x, z, radius);
+            return;
+        }
         
-        // Remove all bullets  
-        this.bullets.forEach(bullet => {
-            this.scene.remove(bullet);
-        });
+        entry.x = x;
+        entry.z = z;
+        if (radius !== undefined) entry.radius = radius;
         
-        // Remove all particles
-        this.particles.forEach(particle => {
-            this.scene.remove(particle);
-        });
+        // Most moves stay inside the same cells
+        if (Math.floor((x - entry.radius) / this.cellSize) === entry.minX &&
+            Math.floor((x + entry.radius) / this.cellSize) === entry.maxX &&
+            Math.floor((z - entry.radius) / this.cellSize) === entry.minZ &&
+            Math.floor((z + entry.radius) / this.cellSize) === entry.maxZ) {
+            return;
+        }
         
-        // Remove all muzzle flashes
-        this.muzzleFlashes.forEach(flash => {
-            this.scene.remove(flash);
-        });
+        this.unbucket(item, entry);
+        this.bucket(item, entry);
     }
     
-    setupScene() {
-        // Scene
-        this.scene = new THREE.Scene();
-        this.scene.fog = new THREE.Fog(0x000020, 10, 50); // Restored to previous range
-        
-        // Camera
-        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-        this.camera.position.copy(this.player.position);
-        
-        // Renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setClearColor(0x000011); // Very dark night sky
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        document.getElementById('gameContainer').appendChild(this.renderer.domElement);
-        
-        // Nighttime lighting setup
-        // Very dim ambient light to simulate moonlight
-        const ambientLight = new THREE.AmbientLight(0x202040, 0.1);
-        this.scene.add(ambientLight);
-        
-        // Weak moonlight from above
-        const moonLight = new THREE.DirectionalLight(0x404080, 0.2);
-        moonLight.position.set(0, 100, 0);
-        moonLight.castShadow = true;
-        moonLight.shadow.mapSize.width = 1024;
-        moonLight.shadow.mapSize.height = 1024;
-        moonLight.shadow.camera.near = 0.5;
-        moonLight.shadow.camera.far = 100;
-        moonLight.shadow.camera.left = -50;
-        moonLight.shadow.camera.right = 50;
-        moonLight.shadow.camera.top = 50;
-        moonLight.shadow.camera.bottom = -50;
-        this.scene.add(moonLight);
-        
-        // Player's flashlight/lantern (restored range)
-        this.playerLight = new THREE.SpotLight(0xffffff, 2.0, 20, Math.PI / 5, 0.4); // Restored range from 10 to 20
-        this.playerLight.position.copy(this.player.position);
-        this.playerLight.target.position.set(0, 0, -1);
-        this.playerLight.castShadow = true;
-        this.playerLight.shadow.mapSize.width = 1024;
-        this.playerLight.shadow.mapSize.height = 1024;
-        this.scene.add(this.playerLight);
-        this.scene.add(this.playerLight.target);
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return;
         
-        // Resize handler
-        window.addEventListener('resize', () => {
-            this.camera.aspect = window.innerWidth / window.innerHeight;
-            this.camera.updateProjectionMatrix();
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
-        });
+        this.unbucket(item, entry);
+        this.entries.delete(item);
     }
     
-    setupControls() {
-        // Keyboard controls
-        document.addEventListener('keydown', (event) => {
-            this.keys[event.code] = true;
-            
-            if (event.code === 'Escape') {
-                this.togglePause();
-            }
-        });
-        
-        document.addEventListener('keyup', (event) => {
-            this.keys[event.code] = false;
-        });
-        
-        // Mouse controls
-        document.addEventListener('mousemove', (event) => {
-            if (document.pointerLockElement === this.renderer.domElement) {
-                this.mouse.x += event.movementX * this.mouseSpeed;
-                this.mouse.y += event.movementY * this.mouseSpeed;
-                this.mouse.y = Math.max(-Math.PI/2, Math.min(Math.PI/2, this.mouse.y));
-            }
-        });
-        
-        document.addEventListener('click', () => {
-            // Resume audio context on first user interaction
-            this.resumeAudioContext();
-            
-            if (document.pointerLockElement !== this.renderer.domElement) {
-                this.renderer.domElement.requestPointerLock();
-            } else {
-                this.shoot();
-            }
-        });
-        
-        // Pointer lock change
-        document.addEventListener('pointerlockchange', () => {
-            if (document.pointerLockElement === this.renderer.domElement) {
-                this.gameRunning = true;
+    bucket(item, entry) {
+        entry.minX = Math.floor((entry.x - entry.radius) / this.cellSize);
+        entry.maxX = Math.floor((entry.x + entry.radius) / this.cellSize);
+        entry.minZ = Math.floor((entry.z - entry.radius) / this.cellSize);
+        entry.maxZ = Math.floor((entry.z + entry.radius) / this.cellSize);
+        
+        for (let cellX = entry.minX; cellX <= entry.maxX; cellX++) {
+            for (let cellZ = entry.minZ; cellZ <= entry.maxZ; cellZ++) {
+                const key = this.cellKey(cellX, cellZ);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = new Set();
+                    this.cells.set(key, cell);
+                }
+                cell.add(item);
             }
-        });
-        
-        // Audio volume controls
-        this.setupAudioControls();
+        }
     }
     
-    setupAudioControls() {
-        const masterVolumeSlider = document.getElementById('masterVolume');
-        const musicVolumeSlider = document.getElementById('musicVolume');
-        const sfxVolumeSlider = document.getElementById('sfxVolume');
-        
-        if (masterVolumeSlider) {
-            masterVolumeSlider.addEventListener('input', (e) => {
-                if (this.masterGain) {
-                    this.masterGain.gain.value = e.target.value / 100;
+    unbucket(item, entry) {
+        for (let cellX = entry.minX; cellX <= entry.maxX; cellX++) {
+            for (let cellZ = entry.minZ; cellZ <= entry.maxZ; cellZ++) {
+                const key = this.cellKey(cellX, cellZ);
+                const cell = this.cells.get(key);
+                if (!cell) continue;
+                
+                cell.delete(item);
+                if (cell.size === 0) {
+                    this.cells.delete(key);
                 }
-            });
+            }
         }
-        
-        if (musicVolumeSlider) {
-            musicVolumeSlider.addEventListener('input', (e) => {
-                if (this.musicGain) {
-                    this.musicGain.gain.value = e.target.value / 100;
+    }
+    
+    query(x, z, radius) {
+        // Everything in the cells overlapping the query square - callers do the exact distance test
+        const results = new Set();
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minZ = Math.floor((z - radius) / this.cellSize);
+        const maxZ = Math.floor((z + radius) / this.cellSize);
+        
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+            for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+                const cell = this.cells.get(this.cellKey(cellX, cellZ));
+                if (cell) {
+                    cell.forEach(item => results.add(item));
                 }
-            });
+            }
         }
         
-        if (sfxVolumeSlider) {
-            sfxVolumeSlider.addEventListener('input', (e) => {
-                if (this.sfxGain) {
-                    this.sfxGain.gain.value = e.target.value / 100;
-                }
-            });
-        }
+        return results;
     }
     
-    createEnvironment() {
-        // Create diverse terrain with multiple biomes
-        this.createDiverseTerrain();
-        
-        // Add lots of vegetation for Ghibli atmosphere
-        this.createTrees();
-        this.createFlowers();
-        this.createGrassPatches();
-        this.createBushes();
-        this.createRocks();
-        
-        // Enhanced sky with gradient and clouds
-        this.createSkyAndClouds();
-        
-        // Create visible air walls
-        this.createAirWalls();
-        
-        // Position player properly on terrain
-        this.positionPlayerOnTerrain();
+    queryRadius(x, z, radius, filter = null) {
+        // Items whose own circle overlaps the query circle
+        const results = [];
+        this.query(x, z, radius).forEach(item => {
+            const entry = this.entries.get(item);
+            const reach = radius + entry.radius;
+            const dx = entry.x - x;
+            const dz = entry.z - z;
+            if (dx * dx + dz * dz <= reach * reach && (!filter || filter(item))) {
+                results.push(item);
+            }
+        });
+        return results;
     }
     
-    createDiverseTerrain() {
-        const terrainSize = 100; // Restored to previous size
-        const terrainResolution = 32; // Restored resolution
-        const terrainGeometry = new THREE.PlaneGeometry(terrainSize, terrainSize, terrainResolution, terrainResolution);
-        
-        const vertices = terrainGeometry.attributes.position.array;
-        
-        // Generate height map with plains and hills
-        for (let i = 0; i < vertices.length; i += 3) {
-            const x = vertices[i];
-            const z = vertices[i + 2];
-            
-            // Normalize coordinates for noise functions
-            const nx = x / terrainSize;
-            const nz = z / terrainSize;
-            
-            // Create gentle rolling hills
-            let height = 0;
-            height += Math.sin(nx * 3) * Math.cos(nz * 3) * 2;  // Large rolling hills
-            height += Math.sin(nx * 6) * Math.cos(nz * 6) * 1;  // Medium hills
-            height += Math.sin(nx * 12) * Math.cos(nz * 12) * 0.3; // Small variations
-            
-            // Create some flat plains areas
-            const plainNoise = Math.sin(nx * 4) * Math.cos(nz * 4);
-            if (Math.abs(plainNoise) < 0.3) {
-                height *= 0.2; // Flatten for plains
-            }
-            
-            vertices[i + 1] = height;
+    querySegment(startX, startZ, endX, endZ, padding = 0) {
+        // Items within padding (plus their own radius) of the segment, gathered cell by cell along it
+        const dx = endX - startX;
+        const dz = endZ - startZ;
+        const lengthSq = dx * dx + dz * dz;
+        const steps = Math.max(1, Math.ceil(Math.sqrt(lengthSq) / this.cellSize));
+        
+        const candidates = new Set();
+        for (let step = 0; step <= steps; step++) {
+            const t = step / steps;
+            this.query(startX + dx * t, startZ + dz * t, this.cellSize / 2 + padding)
+                .forEach(item => candidates.add(item));
         }
         
-        terrainGeometry.attributes.position.needsUpdate = true;
-        terrainGeometry.computeVertexNormals();
-        
-        // Black terrain material for night environment
-        const terrainMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0x000000, // Black ground
-            wireframe: false
+        const results = [];
+        candidates.forEach(item => {
+            const entry = this.entries.get(item);
+            const t = lengthSq > 0 ? THREE.MathUtils.clamp(((entry.x - startX) * dx + (entry.z - startZ) * dz) / lengthSq, 0, 1) : 0;
+            const offsetX = entry.x - (startX + dx * t);
+            const offsetZ = entry.z - (startZ + dz * t);
+            const reach = padding + entry.radius;
+            if (offsetX * offsetX + offsetZ * offsetZ <= reach * reach) {
+                results.push(item);
+            }
         });
+        return results;
+    }
+    
+    nearest(x, z, maxDistance = Infinity, filter = null) {
+        // Search rings of cells outwards from the query point, stopping once no closer item can exist
+        const centerX = Math.floor(x / this.cellSize);
+        const centerZ = Math.floor(z / this.cellSize);
+        const seen = new Set();
+        let best = null;
+        let bestDistance = maxDistance;
+        
+        for (let ring = 0; seen.size < this.entries.size; ring++) {
+            // Everything in this ring is at least (ring - 1) cells away
+            if ((ring - 1) * this.cellSize > bestDistance) break;
+            
+            for (let cellX = centerX - ring; cellX <= centerX + ring; cellX++) {
+                for (let cellZ = centerZ - ring; cellZ <= centerZ + ring; cellZ++) {
+                    if (Math.max(Math.abs(cellX - centerX), Math.abs(cellZ - centerZ)) !== ring) continue;
+                    
+                    const cell = this.cells.get(this.cellKey(cellX, cellZ));
+                    if (!cell) continue;
+                    
+                    cell.forEach(item => {
+                        if (seen.has(item)) return;
+                        seen.add(item);
+                        if (filter && !filter(item)) return;
+                        
+                        const entry = this.entries.get(item);
+                        const distance = Math.hypot(entry.x - x, entry.z - z);
+                        if (distance < bestDistance) {
+                            best = item;
+                            bestDistance = distance;
+                        }
+                    });
+                }
+            }
+        }
         
-        this.terrain = new THREE.Mesh(terrainGeometry, terrainMaterial);
-        this.terrain.rotation.x = -Math.PI / 2;
-        this.terrain.receiveShadow = true;
-        this.scene.add(this.terrain);
+        return best;
+    }
+}
+
+// setTimeout/setInterval stand-in for the ambient audio loops - timers can be frozen while the game is paused
+// and pick up where they left off
+class AudioScheduler {
+    constructor() {
+        this.timers = new Set();
+        this.paused = false;
     }
     
-    createSkyAndClouds() {
-        // Create night sky
-        const skyGeometry = new THREE.SphereGeometry(500, 32, 32);
-        const skyMaterial = new THREE.ShaderMaterial({
-            side: THREE.BackSide,
-            uniforms: {
-                topColor: { value: new THREE.Color(0x000033) }, // Very dark blue
-                bottomColor: { value: new THREE.Color(0x000011) }, // Almost black
-                offset: { value: 33 },
-                exponent: { value: 0.6 }
-            },
-            vertexShader: `
-                varying vec3 vWorldPosition;
-                void main() {
-                    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
-                    vWorldPosition = worldPosition.xyz;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform vec3 topColor;
-                uniform vec3 bottomColor;
-                uniform float offset;
-                uniform float exponent;
-                varying vec3 vWorldPosition;
-                void main() {
-                    float h = normalize(vWorldPosition + offset).y;
-                    gl_FragColor = vec4(mix(bottomColor, topColor, max(pow(max(h, 0.0), exponent), 0.0)), 1.0);
-                }
-            `
-        });
-        
-        const sky = new THREE.Mesh(skyGeometry, skyMaterial);
-        this.scene.add(sky);
-        
-        // Add stars instead of clouds for night atmosphere
-        this.createStars();
+    setTimeout(callback, delay) {
+        return this.addTimer(callback, delay, null);
     }
     
-    createStars() {
-        const starGroup = new THREE.Group();
-        
-        // Create many small stars scattered in the night sky
-        for (let i = 0; i < 100; i++) {
-            const starGeometry = new THREE.SphereGeometry(0.5, 4, 4);
-            const starMaterial = new THREE.MeshBasicMaterial({ 
-                color: 0xffffff,
-                transparent: true,
-                opacity: 0.8 + Math.random() * 0.2
-            });
-            
-            const star = new THREE.Mesh(starGeometry, starMaterial);
-            
-            // Position stars randomly in a sphere around the world
-            const radius = 400 + Math.random() * 100;
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(Math.random() * 0.5 + 0.5); // Bias towards upper hemisphere
-            
-            star.position.set(
-                radius * Math.sin(phi) * Math.cos(theta),
-                radius * Math.cos(phi),
-                radius * Math.sin(phi) * Math.sin(theta)
-            );
-            
-            starGroup.add(star);
+    setInterval(callback, delay) {
+        return this.addTimer(callback, delay, delay);
+    }
+    
+    addTimer(callback, delay, interval) {
+        const timer = { callback, remaining: delay, interval, handle: null, startedAt: 0 };
+        this.timers.add(timer);
+        if (!this.paused) {
+            this.startTimer(timer);
         }
-        
-        this.scene.add(starGroup);
-        this.starGroup = starGroup;
+        return timer;
     }
     
-    createAirWalls() {
-        // Create visible air walls at the boundaries
-        const wallHeight = 8;
-        const wallThickness = 0.2;
-        const wallMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0x404080,
-            transparent: true,
-            opacity: 0.3
-        });
-        
-        // North wall (positive Z)
-        const northWall = new THREE.BoxGeometry(100, wallHeight, wallThickness);
-        const northWallMesh = new THREE.Mesh(northWall, wallMaterial);
-        northWallMesh.position.set(0, wallHeight/2, this.worldBounds.maxZ);
-        this.scene.add(northWallMesh);
-        
-        // South wall (negative Z)  
-        const southWall = new THREE.BoxGeometry(100, wallHeight, wallThickness);
-        const southWallMesh = new THREE.Mesh(southWall, wallMaterial);
-        southWallMesh.position.set(0, wallHeight/2, this.worldBounds.minZ);
-        this.scene.add(southWallMesh);
-        
-        // East wall (positive X)
-        const eastWall = new THREE.BoxGeometry(wallThickness, wallHeight, 100);
-        const eastWallMesh = new THREE.Mesh(eastWall, wallMaterial);
-        eastWallMesh.position.set(this.worldBounds.maxX, wallHeight/2, 0);
-        this.scene.add(eastWallMesh);
-        
-        // West wall (negative X)
-        const westWall = new THREE.BoxGeometry(wallThickness, wallHeight, 100);
-        const westWallMesh = new THREE.Mesh(westWall, wallMaterial);
-        westWallMesh.position.set(this.worldBounds.minX, wallHeight/2, 0);
-        this.scene.add(westWallMesh);
+    startTimer(timer) {
+        timer.startedAt = performance.now();
+        timer.handle = setTimeout(() => {
+            if (timer.interval !== null) {
+                timer.remaining = timer.interval;
+                this.startTimer(timer);
+            } else {
+                this.timers.delete(timer);
+            }
+            timer.callback();
+        }, timer.remaining);
     }
     
-    positionPlayerOnTerrain() {
-        // Position player properly on the terrain surface
-        const terrainHeight = this.getTerrainHeight(this.player.position.x, this.player.position.z);
-        this.player.position.y = terrainHeight + 1.7; // Player height above ground
-        this.camera.position.copy(this.player.position);
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        
+        const now = performance.now();
+        this.timers.forEach(timer => {
+            clearTimeout(timer.handle);
+            timer.remaining = Math.max(0, timer.remaining - (now - timer.startedAt));
+        });
     }
     
-    createParticleSystems() {
-        this.createFireflies();
-        this.createFloatingDust();
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.timers.forEach(timer => this.startTimer(timer));
+    }
+}
+
+// Persisted player settings - bump SETTINGS_VERSION and add a migration whenever the stored shape changes
+const SETTINGS_STORAGE_KEY = 'ghibliSurvivors.settings';
+const SETTINGS_VERSION = 2;
+
+const DEFAULT_SETTINGS = {
+    version: SETTINGS_VERSION,
+    mouseSensitivity: 1.0, // Multiplier on the base mouse speed
+    invertY: false,
+    fov: 75,
+    masterVolume: 70,
+    musicVolume: 30,
+    sfxVolume: 60,
+    shadowQuality: 'medium',
+    resolutionScale: 1.0, // Renderer pixel ratio
+    vegetationDensity: 1.0, // Fraction of flowers and grass drawn
+    gamepadSensitivity: 1.0, // Multiplier on GAMEPAD.lookSpeed
+    gamepadDeadzone: 0.15,
+    aimAcceleration: true,
+    // Input codes per action - KeyboardEvent.code, Mouse0-4, WheelUp/WheelDown, or Pad0-15 (standard gamepad buttons)
+    bindings: {
+        moveForward: ['KeyW'],
+        moveBackward: ['KeyS'],
+        moveLeft: ['KeyA'],
+        moveRight: ['KeyD'],
+        fire: ['Mouse0', 'Pad7'],
+        reload: ['KeyR', 'Pad2'],
+        jump: ['Space', 'Pad0'],
+        sprint: ['ShiftLeft', 'ShiftRight', 'Pad10'],
+        crouch: ['ControlLeft', 'ControlRight', 'KeyC', 'Pad1'],
+        dash: ['KeyQ', 'Pad5'],
+        nextWeapon: ['WheelDown', 'Pad3'],
+        previousWeapon: ['WheelUp', 'Pad4'],
+        pause: ['Escape', 'Pad9']
     }
+};
+
+// Rebindable actions in the order the settings and controls panels list them
+const BINDING_LABELS = {
+    moveForward: 'Move forward',
+    moveBackward: 'Move back',
+    moveLeft: 'Move left',
+    moveRight: 'Move right',
+    fire: 'Shoot',
+    reload: 'Reload',
+    jump: 'Jump',
+    sprint: 'Sprint',
+    crouch: 'Crouch',
+    dash: 'Dash',
+    nextWeapon: 'Next weapon',
+    previousWeapon: 'Previous weapon',
+    pause: 'Pause'
+};
+
+// Gamepad tuning - standard mapping, left stick (axes 0/1) moves and right stick (axes 2/3) looks
+const GAMEPAD = {
+    lookSpeed: 3.0, // Radians per second at full deflection
+    accelerationThreshold: 0.9, // Stick deflection that counts as a fast turn
+    accelerationDelay: 0.3, // Seconds of fast turning before aim acceleration kicks in
+    accelerationRamp: 0.5, // Seconds to reach the full boost
+    accelerationBoost: 1.8,
+    triggerButtons: [6, 7], // Analog triggers count as pressed past triggerThreshold
+    triggerThreshold: 0.35,
+    upgradeButtons: ['Pad14', 'Pad12', 'Pad15'] // D-pad left/up/right pick level-up choices 1-3
+};
+
+const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+    'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right'
+];
+
+// Shadow map resolution per quality level - 0 turns shadows off
+const SHADOW_QUALITY = { off: 0, low: 512, medium: 1024, high: 2048 };
+
+// Each entry upgrades a stored blob from version N to N + 1; unversioned blobs count as version 0
+const SETTINGS_MIGRATIONS = {
+    // v2 - keyBindings became bindings covering mouse and gamepad; keep keyboard rebinds and add the default pad buttons
+    1: settings => {
+        const { keyBindings = {}, ...rest } = settings;
+        const bindings = {};
+        Object.keys(keyBindings).forEach(action => {
+            if (!Array.isArray(keyBindings[action])) return;
+            const padCodes = (DEFAULT_SETTINGS.bindings[action] || []).filter(isGamepadCode);
+            bindings[action] = [...keyBindings[action], ...padCodes];
+        });
+        return { ...rest, bindings, version: 2 };
+    }
+};
+
+function migrateSettings(stored) {
+    const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    if (!stored || typeof stored !== 'object') return settings;
     
-    createFireflies() {
-        // Add magical fireflies floating around the dark environment
-        for (let i = 0; i < 50; i++) { // Restored count
-            const fireflyGeometry = new THREE.SphereGeometry(0.1, 6, 6);
-            const fireflyMaterial = new THREE.MeshBasicMaterial({ 
-                color: 0xFFFF88,
-                transparent: true,
-                opacity: 0.8
-            });
-            
-            const firefly = new THREE.Mesh(fireflyGeometry, fireflyMaterial);
-            
-            // Random position around the world - restored range
-            firefly.position.set(
-                (Math.random() - 0.5) * 80, // Restored from 20 to 80
-                1 + Math.random() * 5,
-                (Math.random() - 0.5) * 80  // Restored from 20 to 80
-            );
-            
-            // Add movement properties
-            firefly.velocity = new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
-                (Math.random() - 0.5) * 1,
-                (Math.random() - 0.5) * 2
-            );
-            firefly.startPosition = firefly.position.clone();
-            firefly.time = Math.random() * Math.PI * 2;
-            
-            this.fireflies.push(firefly);
-            this.scene.add(firefly);
+    let data = stored;
+    for (let version = data.version || 0; version < SETTINGS_VERSION; version++) {
+        if (SETTINGS_MIGRATIONS[version]) {
+            data = SETTINGS_MIGRATIONS[version](data);
         }
     }
     
-    createFloatingDust() {
-        // Add atmospheric dust particles that float in the air
-        for (let i = 0; i < 200; i++) { // Restored from 50 to 200
-            const dustGeometry = new THREE.SphereGeometry(0.02, 4, 4);
-            const dustMaterial = new THREE.MeshBasicMaterial({
-                color: 0x666666,
-                transparent: true,
-                opacity: 0.3
-            });
-            
-            const dust = new THREE.Mesh(dustGeometry, dustMaterial);
-            
-            dust.position.set(
-                (Math.random() - 0.5) * 100, // Restored from 25 to 100
-                Math.random() * 8,
-                (Math.random() - 0.5) * 100  // Restored from 25 to 100
-            );
-            
-            dust.velocity = new THREE.Vector3(
-                (Math.random() - 0.5) * 0.5,
-                (Math.random() - 0.5) * 0.2,
-                (Math.random() - 0.5) * 0.5
-            );
-            
-            this.dustParticles.push(dust);
-            this.scene.add(dust);
+    // Only keep known keys with the right type so a corrupt or newer blob can't break the game
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        if (key === 'version' || key === 'bindings') return;
+        if (typeof data[key] === typeof DEFAULT_SETTINGS[key]) {
+            settings[key] = data[key];
         }
+    });
+    if (!(settings.shadowQuality in SHADOW_QUALITY)) {
+        settings.shadowQuality = DEFAULT_SETTINGS.shadowQuality;
     }
     
-    createMuzzleFlash(position) {
-        // Create muzzle flash particle effect when shooting
-        const flashGroup = new THREE.Group();
-        
-        // Main flash
-        const flashGeometry = new THREE.SphereGeometry(0.3, 8, 8);
-        const flashMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFFAA00,
-            transparent: true,
-            opacity: 1.0
-        });
-        
-        const flash = new THREE.Mesh(flashGeometry, flashMaterial);
-        flash.position.copy(position);
-        flashGroup.add(flash);
-        
-        // Spark particles
-        for (let i = 0; i < 10; i++) {
-            const sparkGeometry = new THREE.SphereGeometry(0.05, 4, 4);
-            const sparkMaterial = new THREE.MeshBasicMaterial({
-                color: Math.random() > 0.5 ? 0xFFFF00 : 0xFF6600,
-                transparent: true,
-                opacity: 1.0
-            });
-            
-            const spark = new THREE.Mesh(sparkGeometry, sparkMaterial);
-            spark.position.copy(position);
-            
-            const direction = new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
-                (Math.random() - 0.5) * 2,
-                (Math.random() - 0.5) * 2
-            ).normalize();
-            
-            spark.velocity = direction.multiplyScalar(5 + Math.random() * 10);
-            spark.life = 0.2 + Math.random() * 0.3;
-            spark.maxLife = spark.life;
-            
-            flashGroup.add(spark);
+    const bindings = data.bindings || {};
+    Object.keys(DEFAULT_SETTINGS.bindings).forEach(action => {
+        const codes = bindings[action];
+        if (Array.isArray(codes) && codes.every(code => typeof code === 'string')) {
+            settings.bindings[action] = codes.slice();
         }
-        
-        flashGroup.life = 0.1;
-        flashGroup.maxLife = flashGroup.life;
-        
-        this.muzzleFlashes.push(flashGroup);
-        this.scene.add(flashGroup);
+    });
+    
+    return settings;
+}
+
+function isGamepadCode(code) {
+    return code.startsWith('Pad');
+}
+
+// Human-readable name for an input code
+function formatInputCode(code) {
+    if (isGamepadCode(code)) return `Pad ${GAMEPAD_BUTTON_NAMES[Number(code.slice(3))] || code.slice(3)}`;
+    if (code.startsWith('Mouse')) return ['Left click', 'Middle click', 'Right click', 'Mouse 4', 'Mouse 5'][Number(code.slice(5))] || code;
+    if (code === 'WheelUp') return 'Wheel up';
+    if (code === 'WheelDown') return 'Wheel down';
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Arrow')) return code.slice(5) + ' Arrow';
+    const names = {
+        Space: 'Space', Escape: 'Esc', ShiftLeft: 'Shift', ShiftRight: 'Right Shift',
+        ControlLeft: 'Ctrl', ControlRight: 'Right Ctrl', AltLeft: 'Alt', AltRight: 'Right Alt'
+    };
+    return names[code] || code;
+}
+
+// Loads settings from localStorage, saves every change and notifies listeners so they apply live
+class SettingsStore {
+    constructor(storageKey = SETTINGS_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.listeners = [];
+        this.values = this.load();
     }
     
-    createHitEffect(position) {
-        // Create particle effect when bullet hits enemy
-        for (let i = 0; i < 15; i++) {
-            const hitGeometry = new THREE.SphereGeometry(0.08, 4, 4);
-            const hitMaterial = new THREE.MeshBasicMaterial({
-                color: Math.random() > 0.5 ? 0xFF4444 : 0xFF8888,
-                transparent: true,
-                opacity: 1.0
-            });
-            
-            const particle = new THREE.Mesh(hitGeometry, hitMaterial);
-            particle.position.copy(position);
-            
-            const direction = new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
-                Math.random() * 2,
-                (Math.random() - 0.5) * 2
-            ).normalize();
-            
-            particle.velocity = direction.multiplyScalar(3 + Math.random() * 7);
-            particle.life = 0.5 + Math.random() * 0.5;
-            particle.maxLife = particle.life;
-            particle.gravity = -9.8;
-            
-            this.particles.push(particle);
-            this.scene.add(particle);
+    load() {
+        try {
+            return migrateSettings(JSON.parse(localStorage.getItem(this.storageKey)));
+        } catch (error) {
+            console.warn('Could not read saved settings, using defaults:', error);
+            return migrateSettings(null);
         }
     }
     
-    createDeathExplosion(position) {
-        // Create explosion effect when enemy dies
-        for (let i = 0; i < 25; i++) {
-            const explosionGeometry = new THREE.SphereGeometry(0.1, 6, 6);
-            const explosionMaterial = new THREE.MeshBasicMaterial({
-                color: new THREE.Color().setHSL(Math.random() * 0.1, 1.0, 0.5),
-                transparent: true,
-                opacity: 1.0
-            });
-            
-            const particle = new THREE.Mesh(explosionGeometry, explosionMaterial);
-            particle.position.copy(position);
-            
-            const direction = new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
-                Math.random() * 2,
-                (Math.random() - 0.5) * 2
-            ).normalize();
-            
-            particle.velocity = direction.multiplyScalar(8 + Math.random() * 12);
-            particle.life = 0.8 + Math.random() * 0.7;
-            particle.maxLife = particle.life;
-            particle.gravity = -4.9;
-            
-            this.particles.push(particle);
-            this.scene.add(particle);
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
         }
     }
     
-    createFootstepDust(position) {
-        // Create small dust puffs when moving
-        if (Math.random() < 0.3) { // Only sometimes to avoid too many particles
-            for (let i = 0; i < 3; i++) {
-                const dustGeometry = new THREE.SphereGeometry(0.05, 4, 4);
-                const dustMaterial = new THREE.MeshBasicMaterial({
-                    color: 0x333333,
-                    transparent: true,
-                    opacity: 0.4
-                });
-                
-                const dust = new THREE.Mesh(dustGeometry, dustMaterial);
-                dust.position.copy(position);
-                dust.position.y = 0.1;
-                dust.position.x += (Math.random() - 0.5) * 0.5;
-                dust.position.z += (Math.random() - 0.5) * 0.5;
-                
-                dust.velocity = new THREE.Vector3(
-                    (Math.random() - 0.5) * 1,
-                    0.5 + Math.random() * 1,
-                    (Math.random() - 0.5) * 1
-                );
-                dust.life = 0.5 + Math.random() * 0.3;
-                dust.maxLife = dust.life;
-                dust.gravity = -2;
-                
-                this.particles.push(dust);
-                this.scene.add(dust);
-            }
+    get(key) {
+        return this.values[key];
+    }
+    
+    set(key, value) {
+        this.values[key] = value;
+        this.save();
+        this.listeners.forEach(listener => listener(key, value));
+    }
+    
+    setBinding(action, codes) {
+        this.values.bindings[action] = codes;
+        this.set('bindings', this.values.bindings);
+    }
+    
+    reset() {
+        this.values = migrateSettings(null);
+        this.save();
+        Object.keys(this.values).forEach(key => {
+            this.listeners.forEach(listener => listener(key, this.values[key]));
+        });
+    }
+    
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+// Input action layer - keyboard, mouse and gamepad all resolve to named actions through the bindings
+class InputManager {
+    constructor(getBindings) {
+        this.getBindings = getBindings;
+        this.down = new Set(); // Input codes currently held
+        this.listeners = [];
+        this.gamepadHeld = new Set();
+        this.moveAxis = { x: 0, y: 0 }; // Left stick after the deadzone
+        this.lookHoldTime = 0;
+    }
+    
+    actionsFor(code) {
+        const bindings = this.getBindings();
+        return Object.keys(bindings).filter(action => bindings[action].includes(code));
+    }
+    
+    press(code) {
+        // Held inputs (key repeat, a trigger resting past its threshold) only fire once
+        if (this.down.has(code)) return;
+        this.down.add(code);
+        this.emit(code);
+    }
+    
+    release(code) {
+        this.down.delete(code);
+    }
+    
+    pulse(code) {
+        // Inputs with no held state, like the scroll wheel
+        this.emit(code);
+    }
+    
+    emit(code) {
+        const actions = this.actionsFor(code);
+        this.listeners.forEach(listener => listener(code, actions));
+    }
+    
+    onPress(listener) {
+        this.listeners.push(listener);
+    }
+    
+    isDown(action) {
+        return this.getBindings()[action].some(code => this.down.has(code));
+    }
+    
+    reset() {
+        // Gamepad buttons stay in gamepadHeld so a button held through a pause doesn't fire again
+        this.down.clear();
+        this.moveAxis = { x: 0, y: 0 };
+        this.lookHoldTime = 0;
+    }
+    
+    getMoveAxis() {
+        // Digital keys and the analog stick combined, never longer than 1
+        let x = this.moveAxis.x;
+        let y = this.moveAxis.y;
+        if (this.isDown('moveForward')) y -= 1;
+        if (this.isDown('moveBackward')) y += 1;
+        if (this.isDown('moveLeft')) x -= 1;
+        if (this.isDown('moveRight')) x += 1;
+        const length = Math.hypot(x, y);
+        if (length > 1) {
+            x /= length;
+            y /= length;
         }
+        return { x, y };
     }
     
-    updateParticles(deltaTime) {
-        // Update fireflies with smooth floating movement
-        this.fireflies.forEach((firefly, index) => {
-            firefly.time += deltaTime;
-            
-            // Smooth floating movement
-            firefly.position.add(firefly.velocity.clone().multiplyScalar(deltaTime));
-            firefly.position.y = firefly.startPosition.y + Math.sin(firefly.time) * 2;
-            
-            // Gentle pulsing glow
-            firefly.material.opacity = 0.6 + 0.4 * Math.sin(firefly.time * 3);
-            
-            // Boundary checking - wrap around (restored boundaries)
-            if (firefly.position.x > 50) firefly.position.x = -50; // Restored from 12.5 to 50
-            if (firefly.position.x < -50) firefly.position.x = 50;
-            if (firefly.position.z > 50) firefly.position.z = -50;
-            if (firefly.position.z < -50) firefly.position.z = 50;
+    applyDeadzone(x, y, deadzone) {
+        // Radial deadzone, rescaled so output still starts at 0 just past the edge
+        const length = Math.hypot(x, y);
+        if (length <= deadzone) return { x: 0, y: 0 };
+        const scale = Math.min(1, (length - deadzone) / (1 - deadzone)) / length;
+        return { x: x * scale, y: y * scale };
+    }
+    
+    pollGamepad(deltaTime, tuning) {
+        // Returns the look delta in radians for this frame
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const pad = Array.from(pads).find(candidate => candidate && candidate.connected);
+        
+        // Buttons become Pad0-Pad15 codes and go through the same bindings as keys
+        const held = new Set();
+        if (pad) {
+            pad.buttons.forEach((button, index) => {
+                const pressed = GAMEPAD.triggerButtons.includes(index) ? button.value > GAMEPAD.triggerThreshold : button.pressed;
+                if (pressed) held.add(`Pad${index}`);
+            });
+        }
+        held.forEach(code => {
+            if (!this.gamepadHeld.has(code)) this.press(code);
         });
-        
-        // Update floating dust
-        this.dustParticles.forEach((dust, index) => {
-            dust.position.add(dust.velocity.clone().multiplyScalar(deltaTime));
-            
-            // Boundary checking for dust (restored boundaries)
-            if (dust.position.y > 10) dust.position.y = 0;
-            if (dust.position.x > 60) dust.position.x = -60; // Restored from 15 to 60
-            if (dust.position.x < -60) dust.position.x = 60;
-            if (dust.position.z > 60) dust.position.z = -60;
-            if (dust.position.z < -60) dust.position.z = 60;
+        this.gamepadHeld.forEach(code => {
+            if (!held.has(code)) this.release(code);
         });
+        this.gamepadHeld = held;
         
-        // Update general particles (hit effects, explosions, footstep dust)
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            
-            // Apply velocity and gravity
-            particle.velocity.y += (particle.gravity || 0) * deltaTime;
-            particle.position.add(particle.velocity.clone().multiplyScalar(deltaTime));
-            
-            // Update life and opacity
-            particle.life -= deltaTime;
-            particle.material.opacity = particle.life / particle.maxLife;
-            particle.scale.setScalar(1 - (1 - particle.life / particle.maxLife) * 0.5);
-            
-            // Remove dead particles
-            if (particle.life <= 0) {
-                this.scene.remove(particle);
-                this.particles.splice(i, 1);
-            }
+        if (!pad || pad.axes.length < 4) {
+            this.moveAxis = { x: 0, y: 0 };
+            this.lookHoldTime = 0;
+            return { x: 0, y: 0 };
         }
         
-        // Update muzzle flashes
-        for (let i = this.muzzleFlashes.length - 1; i >= 0; i--) {
-            const flash = this.muzzleFlashes[i];
-            flash.life -= deltaTime;
-            
-            // Fade out flash
-            flash.children.forEach(child => {
-                if (child.velocity) {
-                    child.position.add(child.velocity.clone().multiplyScalar(deltaTime));
-                    child.velocity.multiplyScalar(0.95); // Slow down sparks
-                }
-                child.material.opacity = flash.life / flash.maxLife;
-            });
-            
-            // Remove expired flashes
-            if (flash.life <= 0) {
-                this.scene.remove(flash);
-                this.muzzleFlashes.splice(i, 1);
+        this.moveAxis = this.applyDeadzone(pad.axes[0], pad.axes[1], tuning.deadzone);
+        
+        // Squared response for fine aim near the centre, plus a boost when the stick is held at the rim
+        const look = this.applyDeadzone(pad.axes[2], pad.axes[3], tuning.deadzone);
+        const magnitude = Math.hypot(look.x, look.y);
+        this.lookHoldTime = magnitude >= GAMEPAD.accelerationThreshold ? this.lookHoldTime + deltaTime : 0;
+        let boost = 1;
+        if (tuning.aimAcceleration) {
+            const ramp = Math.min(1, Math.max(0, (this.lookHoldTime - GAMEPAD.accelerationDelay) / GAMEPAD.accelerationRamp));
+            boost += (GAMEPAD.accelerationBoost - 1) * ramp;
+        }
+        const speed = magnitude * GAMEPAD.lookSpeed * tuning.sensitivity * boost * deltaTime;
+        return { x: look.x * speed, y: look.y * speed };
+    }
+}
+
+// Local leaderboard and run history - stored next to the settings and shareable as JSON
+const RUN_HISTORY_STORAGE_KEY = 'ghibliSurvivors.runs';
+const RUN_HISTORY_VERSION = 1;
+const LEADERBOARD_SIZE = 10;
+const RUN_HISTORY_LIMIT = 50; // Most recent runs kept on top of the leaderboard entries
+
+const RUN_NUMBER_FIELDS = ['wave', 'level', 'shotsFired', 'shotsHit', 'shotsMissed', 'accuracy', 'headshots', 'kills',
+    'killsPerMinute', 'giantsSlain', 'damageDealt', 'damageTaken', 'hitsTaken', 'distanceWalked', 'timeNearWalls'];
+const RUN_COUNT_FIELDS = ['killsByType', 'damageBySource']; // Objects of numbers keyed by enemy type / damage source
+const RUN_MODES = ['arena', 'endless'];
+
+function isValidRun(run) {
+    return !!run && typeof run.id === 'string' && typeof run.date === 'string' &&
+        typeof run.name === 'string' && Number.isFinite(run.score) &&
+        Number.isFinite(run.time) && Number.isFinite(run.seed);
+}
+
+// Copy of a stored or imported run with every optional field checked - bad ones are dropped
+// so the history screen falls back to its defaults instead of throwing
+function sanitizeRun(run) {
+    const clean = { id: run.id, date: run.date, name: run.name, score: run.score, time: run.time, seed: run.seed };
+    clean.mode = RUN_MODES.includes(run.mode) ? run.mode : 'arena';
+    RUN_NUMBER_FIELDS.forEach(field => {
+        if (Number.isFinite(run[field])) clean[field] = run[field];
+    });
+    RUN_COUNT_FIELDS.forEach(field => {
+        const counts = run[field];
+        if (!counts || typeof counts !== 'object' || Array.isArray(counts)) return;
+        clean[field] = Object.fromEntries(Object.entries(counts).filter(([, count]) => Number.isFinite(count)));
+    });
+    return clean;
+}
+
+class RunHistory {
+    constructor(storageKey = RUN_HISTORY_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.runs = [];
+        this.playerName = 'Player';
+        this.load();
+    }
+    
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey));
+            if (data && Array.isArray(data.runs)) {
+                this.runs = data.runs.filter(isValidRun).map(sanitizeRun);
+            }
+            if (data && typeof data.playerName === 'string') {
+                this.playerName = data.playerName;
             }
+        } catch (error) {
+            console.warn('Could not read run history:', error);
         }
     }
     
-    setupAudio() {
+    save() {
         try {
-            // Initialize Web Audio API
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Create master gain nodes
-            this.masterGain = this.audioContext.createGain();
-            this.musicGain = this.audioContext.createGain();
-            this.sfxGain = this.audioContext.createGain();
-            
-            // Connect gain nodes
-            this.musicGain.connect(this.masterGain);
-            this.sfxGain.connect(this.masterGain);
-            this.masterGain.connect(this.audioContext.destination);
-            
-            // Set initial volumes
-            this.masterGain.gain.value = 0.7;
-            this.musicGain.gain.value = 0.3;
-            this.sfxGain.gain.value = 0.6;
-            
-            // Generate procedural sounds
-            this.generateSounds();
-            
-            console.log('Audio system initialized');
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: RUN_HISTORY_VERSION,
+                playerName: this.playerName,
+                runs: this.runs
+            }));
         } catch (error) {
-            console.warn('Web Audio API not supported:', error);
+            console.warn('Could not save run history:', error);
         }
     }
     
-    generateSounds() {
-        // Generate gunshot sound
-        this.sounds.gunshot = this.createGunshot();
-        
-        // Generate hit sound
-        this.sounds.hit = this.createHit();
+    addRun(run) {
+        this.runs.push(run);
+        this.prune();
+        this.save();
+    }
+    
+    renameRun(id, name) {
+        const run = this.runs.find(candidate => candidate.id === id);
+        if (run) run.name = name;
+        this.playerName = name;
+        this.save();
+    }
+    
+    getRuns(mode) {
+        // Arena and endless runs aren't comparable, so each world mode keeps its own leaderboard
+        return this.runs.filter(run => run.mode === mode);
+    }
+    
+    getTopByScore(mode, limit = LEADERBOARD_SIZE) {
+        return this.getRuns(mode).sort((a, b) => b.score - a.score || b.time - a.time).slice(0, limit);
+    }
+    
+    getTopByTime(mode, limit = LEADERBOARD_SIZE) {
+        return this.getRuns(mode).sort((a, b) => b.time - a.time || b.score - a.score).slice(0, limit);
+    }
+    
+    getRecent(limit = RUN_HISTORY_LIMIT) {
+        return this.runs.slice().sort((a, b) => b.date.localeCompare(a.date)).slice(0, limit);
+    }
+    
+    prune() {
+        // Old runs fall off the history unless they still hold a leaderboard spot
+        const keep = new Set(this.getRecent());
+        RUN_MODES.forEach(mode => {
+            this.getTopByScore(mode).forEach(run => keep.add(run));
+            this.getTopByTime(mode).forEach(run => keep.add(run));
+        });
+        this.runs = this.runs.filter(run => keep.has(run));
+    }
+    
+    exportJSON() {
+        return JSON.stringify({ version: RUN_HISTORY_VERSION, exportedAt: new Date().toISOString(), runs: this.runs }, null, 2);
+    }
+    
+    importJSON(text) {
+        // Merges runs from a teammate's export, skipping ones we already have; returns how many were added
+        const data = JSON.parse(text);
+        if (!data || !Array.isArray(data.runs)) {
+            throw new Error('File does not contain any runs');
+        }
         
-        // Generate explosion sound
-        this.sounds.explosion = this.createExplosion();
+        // Ids are marked as they're accepted so a file listing the same run twice only adds it once
+        const known = new Set(this.runs.map(run => run.id));
+        const added = data.runs.filter(run => {
+            if (!isValidRun(run) || known.has(run.id)) return false;
+            known.add(run.id);
+            return true;
+        }).map(sanitizeRun);
+        this.runs.push(...added);
+        this.prune();
+        this.save();
+        return added.length;
+    }
+}
+
+// Run statistics - gameplay code reports events here; the game over screen, leaderboard and achievements read the summary
+const WALL_PROXIMITY = 5; // Units from the arena edge that count as hugging the walls
+
+class StatsCollector {
+    constructor() {
+        this.reset();
+    }
+    
+    reset() {
+        this.shotsFired = 0;
+        this.shotsHit = 0;
+        this.shotsMissed = 0;
+        this.headshots = 0;
+        this.kills = 0;
+        this.killsByType = {};
+        this.damageDealt = 0;
+        this.damageBySource = {};
+        this.damageTaken = 0;
+        this.hitsTaken = 0;
+        this.distanceWalked = 0;
+        this.timeNearWalls = 0;
+    }
+    
+    record(event, data = {}) {
+        switch (event) {
+            case 'shotFired':
+                this.shotsFired++;
+                break;
+            case 'shotHit':
+                this.shotsHit++;
+                break;
+            case 'shotMissed':
+                this.shotsMissed++;
+                break;
+            case 'enemyDamaged':
+                // { source, amount, fromPlayer, headshot }
+                if (data.fromPlayer) this.damageDealt += data.amount;
+                this.damageBySource[data.source] = (this.damageBySource[data.source] || 0) + data.amount;
+                if (data.headshot) this.headshots++;
+                break;
+            case 'enemyKilled':
+                // { enemyType }
+                this.kills++;
+                this.killsByType[data.enemyType] = (this.killsByType[data.enemyType] || 0) + 1;
+                break;
+            case 'playerDamaged':
+                // { amount }
+                this.damageTaken += data.amount;
+                this.hitsTaken++;
+                break;
+            case 'playerMoved':
+                // { distance, nearWall, deltaTime }
+                this.distanceWalked += data.distance;
+                if (data.nearWall) this.timeNearWalls += data.deltaTime;
+                break;
+            default:
+                console.warn('Unknown stat event:', event);
+        }
+    }
+    
+    getSummary(gameTime) {
+        // Accuracy only counts shots that have landed or missed, not bullets still in flight
+        const resolvedShots = this.shotsHit + this.shotsMissed;
+        const minutes = gameTime / 60;
+        return {
+            shotsFired: this.shotsFired,
+            shotsHit: this.shotsHit,
+            shotsMissed: this.shotsMissed,
+            accuracy: resolvedShots > 0 ? this.shotsHit / resolvedShots : 0,
+            headshots: this.headshots,
+            kills: this.kills,
+            killsByType: { ...this.killsByType },
+            killsPerMinute: minutes > 0 ? this.kills / minutes : 0,
+            giantsSlain: this.killsByType.giant || 0,
+            damageDealt: Math.round(this.damageDealt),
+            damageBySource: Object.fromEntries(Object.entries(this.damageBySource).map(([source, amount]) => [source, Math.round(amount)])),
+            damageTaken: Math.round(this.damageTaken),
+            hitsTaken: this.hitsTaken,
+            distanceWalked: Math.round(this.distanceWalked),
+            timeNearWalls: Math.round(this.timeNearWalls * 10) / 10
+        };
+    }
+}
+
+// Effect particles - every burst draws from one pooled Points buffer instead of allocating meshes
+const PARTICLE_BUDGET = 2000; // Hard cap on live particles; bursts past it are dropped
+
+// Emitter definitions - ranges are [min, max]; size is the world-space diameter at spawn, shrinking to half by death
+// direction 'burstUp' sprays outward and upward, 'sphere' in every direction, 'box' uses velocityBox per axis
+const PARTICLE_EMITTERS = {
+    hit: {
+        count: 15, colors: [0xFF4444, 0xFF8888], opacity: 1.0, size: 0.16,
+        life: [0.5, 1.0], direction: 'burstUp', speed: [3, 10], gravity: -9.8
+    },
+    deathExplosion: {
+        count: 25, hue: [0, 0.1], opacity: 1.0, size: 0.2,
+        life: [0.8, 1.5], direction: 'burstUp', speed: [8, 20], gravity: -4.9
+    },
+    muzzleFlash: {
+        count: 1, colors: [0xFFAA00], opacity: 1.0, size: 0.6,
+        life: [0.1, 0.1], direction: 'sphere', speed: [0, 0]
+    },
+    muzzleSparks: {
+        count: 10, colors: [0xFFFF00, 0xFF6600], opacity: 1.0, size: 0.1,
+        life: [0.08, 0.15], direction: 'sphere', speed: [5, 15], drag: 3
+    },
+    footstepDust: {
+        count: 3, colors: [0x333333], opacity: 0.4, size: 0.1, jitter: 0.25,
+        life: [0.5, 0.8], direction: 'box', velocityBox: [[-0.5, 0.5], [0.5, 1.5], [-0.5, 0.5]], gravity: -2
+    },
+    impact: {
+        count: 6, colors: [0x886644, 0x555555], opacity: 0.8, size: 0.1,
+        life: [0.3, 0.6], direction: 'box', velocityBox: [[-1.5, 1.5], [1, 3], [-1.5, 1.5]], gravity: -9.8
+    }
+};
+
+const PARTICLE_VERTEX_SHADER = `
+    attribute vec3 particleColor;
+    attribute float alpha;
+    attribute float size;
+    uniform float pixelScale;
+    varying vec3 vColor;
+    varying float vAlpha;
+    #include <fog_pars_vertex>
+    
+    void main() {
+        vColor = particleColor;
+        vAlpha = alpha;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = size * pixelScale / -mvPosition.z;
+        gl_Position = projectionMatrix * mvPosition;
+        #include <fog_vertex>
+    }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+    varying vec3 vColor;
+    varying float vAlpha;
+    #include <fog_pars_fragment>
+    
+    void main() {
+        // Round sprites
+        vec2 offset = gl_PointCoord - vec2(0.5);
+        if (dot(offset, offset) > 0.25 || vAlpha <= 0.0) discard;
+        gl_FragColor = vec4(vColor, vAlpha);
+        #include <fog_fragment>
+    }
+`;
+
+class ParticleEngine {
+    constructor(scene, budget = PARTICLE_BUDGET) {
+        this.budget = budget;
+        this.dropped = 0; // Particles refused because the budget was full
+        
+        // GPU attributes
+        this.positions = new Float32Array(budget * 3);
+        this.colors = new Float32Array(budget * 3);
+        this.alphas = new Float32Array(budget);
+        this.sizes = new Float32Array(budget);
+        
+        // Simulation state, CPU only
+        this.velocities = new Float32Array(budget * 3);
+        this.life = new Float32Array(budget);
+        this.maxLife = new Float32Array(budget);
+        this.gravity = new Float32Array(budget);
+        this.drag = new Float32Array(budget);
+        this.baseSize = new Float32Array(budget);
+        this.baseAlpha = new Float32Array(budget);
+        
+        // Live slots packed at the front of activeSlots; freeSlots is a stack of unused ones
+        this.activeSlots = new Int32Array(budget);
+        this.activeCount = 0;
+        this.freeSlots = new Int32Array(budget);
+        this.freeCount = budget;
+        for (let i = 0; i < budget; i++) {
+            this.freeSlots[i] = budget - 1 - i;
+        }
         
-        // Generate footstep sound
-        this.sounds.footstep = this.createFootstep();
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setAttribute('particleColor', new THREE.BufferAttribute(this.colors, 3).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setAttribute('alpha', new THREE.BufferAttribute(this.alphas, 1).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setAttribute('size', new THREE.BufferAttribute(this.sizes, 1).setUsage(THREE.DynamicDrawUsage));
         
-        // Generate enemy death sound
-        this.sounds.enemyDeath = this.createEnemyDeath();
+        this.material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, { pixelScale: { value: 1 } }]),
+            vertexShader: PARTICLE_VERTEX_SHADER,
+            fragmentShader: PARTICLE_FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false,
+            fog: true
+        });
         
-        // Generate pickup sound
-        this.sounds.pickup = this.createPickup();
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false; // Particles roam the whole arena, the bounds never match
+        scene.add(this.points);
         
-        // Start background music
-        this.startBackgroundMusic();
+        this.color = new THREE.Color();
+        this.direction = new THREE.Vector3();
+        this.bufferSize = new THREE.Vector2();
     }
     
-    createGunshot() {
-        const length = 0.5;
-        const sampleRate = this.audioContext.sampleRate;
-        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
-        const data = buffer.getChannelData(0);
+    emit(emitterId, position) {
+        const emitter = PARTICLE_EMITTERS[emitterId];
+        const range = ([min, max]) => min + Math.random() * (max - min);
         
-        for (let i = 0; i < buffer.length; i++) {
-            const t = i / sampleRate;
-            let sample = 0;
-            
-            // AK47-style gunshot characteristics
-            if (t < 0.001) {
-                // Instantaneous muzzle blast - very sharp attack
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 500) * 0.95 +
-                        Math.sin(t * 3000 * Math.PI) * Math.exp(-t * 400) * 0.7;
-            } else if (t < 0.005) {
-                // Initial explosion with characteristic AK crack
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 200) * 0.8 +
-                        Math.sin(t * 1500 * Math.PI) * Math.exp(-t * 180) * 0.6 +
-                        Math.sin(t * 800 * Math.PI) * Math.exp(-t * 150) * 0.4;
-            } else if (t < 0.02) {
-                // Gas expansion and mechanical action
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 80) * 0.6 +
-                        Math.sin(t * 600 * Math.PI) * Math.exp(-t * 60) * 0.4 +
-                        Math.sin(t * 300 * Math.PI) * Math.exp(-t * 40) * 0.3;
-            } else if (t < 0.08) {
-                // Echo and acoustic reflection
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 25) * 0.3 +
-                        Math.sin(t * 200 * Math.PI) * Math.exp(-t * 20) * 0.2 +
-                        Math.sin(t * 100 * Math.PI) * Math.exp(-t * 15) * 0.15;
-            } else {
-                // Long tail with environmental reverb
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 8) * 0.12 +
-                        Math.sin(t * 60 * Math.PI) * Math.exp(-t * 6) * 0.08 +
-                        Math.sin(t * 30 * Math.PI) * Math.exp(-t * 4) * 0.05;
+        for (let n = 0; n < emitter.count; n++) {
+            if (this.freeCount === 0) {
+                this.dropped += emitter.count - n;
+                return;
             }
+            const slot = this.freeSlots[--this.freeCount];
+            this.activeSlots[this.activeCount++] = slot;
             
-            data[i] = sample;
-        }
-        
-        return buffer;
-    }
-    
-    createHit() {
-        const length = 0.3;
-        const sampleRate = this.audioContext.sampleRate;
-        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
-        const data = buffer.getChannelData(0);
-        
-        for (let i = 0; i < buffer.length; i++) {
-            const t = i / sampleRate;
-            let sample = 0;
+            const jitter = emitter.jitter || 0;
+            this.positions[slot * 3] = position.x + (Math.random() - 0.5) * 2 * jitter;
+            this.positions[slot * 3 + 1] = position.y;
+            this.positions[slot * 3 + 2] = position.z + (Math.random() - 0.5) * 2 * jitter;
             
-            // Wet impact sound with splatter
-            if (t < 0.01) {
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 120) * 0.6 +
-                        Math.sin(t * 600 * Math.PI) * Math.exp(-t * 100) * 0.4;
-            } else if (t < 0.05) {
-                // Flesh impact with liquid sound
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 40) * 0.4 +
-                        Math.sin(t * 300 * Math.PI) * Math.exp(-t * 25) * 0.3 +
-                        Math.sin(t * 150 * Math.PI) * Math.exp(-t * 20) * 0.2;
+            if (emitter.direction === 'box') {
+                this.direction.set(range(emitter.velocityBox[0]), range(emitter.velocityBox[1]), range(emitter.velocityBox[2]));
             } else {
-                // Dripping/settling sound
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 12) * 0.2 +
-                        Math.sin(t * 80 * Math.PI) * Math.exp(-t * 8) * 0.15;
+                const upward = emitter.direction === 'burstUp';
+                this.direction.set(
+                    (Math.random() - 0.5) * 2,
+                    upward ? Math.random() * 2 : (Math.random() - 0.5) * 2,
+                    (Math.random() - 0.5) * 2
+                ).normalize().multiplyScalar(range(emitter.speed));
             }
+            this.velocities[slot * 3] = this.direction.x;
+            this.velocities[slot * 3 + 1] = this.direction.y;
+            this.velocities[slot * 3 + 2] = this.direction.z;
             
-            data[i] = sample;
-        }
-        
-        return buffer;
-    }
-    
-    createExplosion() {
-        const length = 1.0;
-        const sampleRate = this.audioContext.sampleRate;
-        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
-        const data = buffer.getChannelData(0);
-        
-        for (let i = 0; i < buffer.length; i++) {
-            const t = i / sampleRate;
-            let sample = 0;
-            
-            // Initial boom
-            if (t < 0.1) {
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 10) * 0.8;
+            if (emitter.hue) {
+                this.color.setHSL(range(emitter.hue), 1.0, 0.5);
             } else {
-                // Rumbling decay
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 2) * 0.3 +
-                        Math.sin(t * 60 * Math.PI) * Math.exp(-t * 3) * 0.2;
+                this.color.setHex(emitter.colors[Math.floor(Math.random() * emitter.colors.length)]);
             }
-            
-            data[i] = sample;
+            this.colors[slot * 3] = this.color.r;
+            this.colors[slot * 3 + 1] = this.color.g;
+            this.colors[slot * 3 + 2] = this.color.b;
+            
+            this.life[slot] = this.maxLife[slot] = range(emitter.life);
+            this.gravity[slot] = emitter.gravity || 0;
+            this.drag[slot] = emitter.drag || 0;
+            this.baseSize[slot] = this.sizes[slot] = emitter.size;
+            this.baseAlpha[slot] = this.alphas[slot] = emitter.opacity;
         }
-        
-        return buffer;
     }
     
-    createFootstep() {
-        const length = 0.25;
-        const sampleRate = this.audioContext.sampleRate;
-        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
-        const data = buffer.getChannelData(0);
-        
-        for (let i = 0; i < buffer.length; i++) {
-            const t = i / sampleRate;
-            let sample = 0;
+    update(deltaTime, camera, renderer) {
+        // Walk backwards so expired slots can be swapped out of the active list in place
+        for (let i = this.activeCount - 1; i >= 0; i--) {
+            const slot = this.activeSlots[i];
+            this.life[slot] -= deltaTime;
+            
+            if (this.life[slot] <= 0) {
+                this.alphas[slot] = 0;
+                this.sizes[slot] = 0;
+                this.activeSlots[i] = this.activeSlots[--this.activeCount];
+                this.freeSlots[this.freeCount++] = slot;
+                continue;
+            }
             
-            // Initial impact - sharp thud
-            if (t < 0.02) {
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 80) * 0.4 +
-                        Math.sin(t * 80 * Math.PI) * Math.exp(-t * 60) * 0.3;
-            } else if (t < 0.08) {
-                // Dirt/gravel shifting sound
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 15) * 0.25 +
-                        Math.sin(t * 40 * Math.PI) * Math.exp(-t * 20) * 0.15;
-            } else {
-                // Subtle echo and settling
-                sample = (Math.random() * 2 - 1) * Math.exp(-t * 8) * 0.1 +
-                        Math.sin(t * 20 * Math.PI) * Math.exp(-t * 10) * 0.08;
+            const damping = Math.exp(-this.drag[slot] * deltaTime);
+            const v = slot * 3;
+            this.velocities[v + 1] += this.gravity[slot] * deltaTime;
+            for (let axis = 0; axis < 3; axis++) {
+                this.velocities[v + axis] *= damping;
+                this.positions[v + axis] += this.velocities[v + axis] * deltaTime;
             }
             
-            data[i] = sample;
+            // Fade out and shrink to half size over the particle's life
+            const remaining = this.life[slot] / this.maxLife[slot];
+            this.alphas[slot] = this.baseAlpha[slot] * remaining;
+            this.sizes[slot] = this.baseSize[slot] * (0.5 + 0.5 * remaining);
         }
         
-        return buffer;
+        const attributes = this.geometry.attributes;
+        attributes.position.needsUpdate = true;
+        attributes.particleColor.needsUpdate = true;
+        attributes.alpha.needsUpdate = true;
+        attributes.size.needsUpdate = true;
+        
+        // Pixels per world unit at distance 1, so sprite sizes match the old sphere meshes
+        renderer.getDrawingBufferSize(this.bufferSize);
+        this.material.uniforms.pixelScale.value = this.bufferSize.y / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
     }
     
-    createEnemyDeath() {
-        const length = 0.8;
-        const sampleRate = this.audioContext.sampleRate;
-        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
-        const data = buffer.getChannelData(0);
-        
-        for (let i = 0; i < buffer.length; i++) {
-            const t = i / sampleRate;
-            // Descending mechanical sound
-            const freq = 400 * Math.exp(-t * 2);
-            const sample = Math.sin(t * freq * Math.PI) * Math.exp(-t * 3) * 0.4 +
-                          (Math.random() * 2 - 1) * Math.exp(-t * 8) * 0.2;
-            data[i] = sample;
+    clear() {
+        while (this.activeCount > 0) {
+            const slot = this.activeSlots[--this.activeCount];
+            this.alphas[slot] = 0;
+            this.sizes[slot] = 0;
+            this.freeSlots[this.freeCount++] = slot;
         }
-        
-        return buffer;
+        this.dropped = 0;
+    }
+}
+
+// Collects transforms for one repeated decoration part and draws them all as a single InstancedMesh
+class InstanceBatch {
+    constructor(geometry, material) {
+        this.geometry = geometry;
+        this.material = material;
+        this.instances = []; // { matrix, color, rank }
+        this.mesh = null;
+        this.ranks = [];
     }
     
-    createPickup() {
-        const length = 0.3;
-        const sampleRate = this.audioContext.sampleRate;
-        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
-        const data = buffer.getChannelData(0);
-        
-        for (let i = 0; i < buffer.length; i++) {
-            const t = i / sampleRate;
-            // Ascending chime
-            const freq = 440 + t * 880;
-            const sample = Math.sin(t * freq * Math.PI) * Math.exp(-t * 5) * 0.3;
-            data[i] = sample;
+    add(matrix, color, rank = 0) {
+        this.instances.push({ matrix: matrix.clone(), color: new THREE.Color(color), rank });
+    }
+    
+    build() {
+        // Sorted by rank so the density setting can hide instances by trimming the draw count
+        this.instances.sort((a, b) => a.rank - b.rank);
+        this.ranks = this.instances.map(instance => instance.rank);
+        
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, this.instances.length);
+        this.instances.forEach((instance, index) => {
+            this.mesh.setMatrixAt(index, instance.matrix);
+            this.mesh.setColorAt(index, instance.color);
+        });
+        this.mesh.frustumCulled = false; // Instances cover the whole arena
+        this.instances = [];
+        return this.mesh;
+    }
+    
+    setDensity(density) {
+        let count = 0;
+        while (count < this.ranks.length && this.ranks[count] < density) count++;
+        this.mesh.count = count;
+    }
+}
+
+// Shared geometry/material cache plus GPU disposal for everything created during a run
+class ResourceManager {
+    constructor() {
+        this.geometries = new Map();
+        this.materials = new Map();
+        this.textures = new Map();
+        this.shared = new Set(); // Cached resources outlive the objects that use them
+    }
+    
+    geometry(key, create) {
+        return this.getShared(this.geometries, key, create);
+    }
+    
+    material(key, create) {
+        return this.getShared(this.materials, key, create);
+    }
+    
+    texture(key, create) {
+        return this.getShared(this.textures, key, create);
+    }
+    
+    disposeTexture(key) {
+        // Drops a cached texture for good - only for ones nothing on screen still uses
+        const texture = this.textures.get(key);
+        if (!texture) return;
+        this.textures.delete(key);
+        this.shared.delete(texture);
+        texture.dispose();
+    }
+    
+    getShared(cache, key, create) {
+        let resource = cache.get(key);
+        if (!resource) {
+            resource = create();
+            cache.set(key, resource);
+            this.shared.add(resource);
         }
-        
-        return buffer;
+        return resource;
     }
     
-    startBackgroundMusic() {
-        if (!this.audioContext) return;
-        
-        // Create ambient background music using oscillators
-        this.createAmbientMusic();
+    release(object) {
+        // Detach the object and free whatever it owns; shared geometries and materials stay cached
+        object.removeFromParent();
+        object.traverse(child => {
+            if (child.isInstancedMesh) {
+                child.dispose();
+            }
+            if (child.geometry && !this.shared.has(child.geometry)) {
+                child.geometry.dispose();
+            }
+            
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                if (!material || this.shared.has(material)) return;
+                if (material.map && !this.shared.has(material.map)) {
+                    material.map.dispose();
+                }
+                material.dispose();
+            });
+        });
+    }
+}
+
+// Arena props are scattered over a PROP_SPREAD square; endless chunks scale the arena prop counts by their area
+const PROP_SPREAD = 90;
+
+// Endless mode (?mode=endless) - square terrain chunks loaded within loadRadius chunks of the player and
+// dropped past unloadRadius. Height is fractal value noise: octaves of noise at doubling frequency and
+// halving height, starting from noiseScale (per world unit) and heightScale.
+const ENDLESS_TERRAIN = {
+    chunkSize: 32,
+    resolution: 32, // Quads per chunk side
+    loadRadius: 2,
+    unloadRadius: 3, // Wider than loadRadius so walking along a chunk border doesn't thrash
+    loadsPerStep: 1, // New chunks built per simulation step, so streaming never hitches
+    noiseScale: 0.02,
+    heightScale: 3.5,
+    octaves: 4
+};
+
+// Streams endless-mode chunks in around the player, nearest first, and drops the ones left far behind
+class TerrainStreamer {
+    constructor(game) {
+        this.game = game;
+        this.chunks = new Map(); // "x,z" -> chunk region
     }
     
-    createAmbientMusic() {
-        // Create horror movie-style tension music with original composition
-        this.createPsychologicalTensionTheme();
-        this.createDeepUnsettlingDrones();
-        this.createDiscordantOrchestralElements();
+    chunkKey(chunkX, chunkZ) {
+        return `${chunkX},${chunkZ}`;
+    }
+    
+    clear() {
+        this.chunks.clear();
+    }
+    
+    update(position, loadLimit = ENDLESS_TERRAIN.loadsPerStep) {
+        const { chunkSize, loadRadius, unloadRadius } = ENDLESS_TERRAIN;
+        const centerX = Math.floor(position.x / chunkSize);
+        const centerZ = Math.floor(position.z / chunkSize);
+        
+        this.chunks.forEach((chunk, key) => {
+            if (Math.max(Math.abs(chunk.chunkX - centerX), Math.abs(chunk.chunkZ - centerZ)) > unloadRadius) {
+                this.game.releaseChunk(chunk);
+                this.chunks.delete(key);
+            }
+        });
         
-        // Add unsettling ambient layers
-        this.createOminousWind();
+        const missing = [];
+        for (let chunkX = centerX - loadRadius; chunkX <= centerX + loadRadius; chunkX++) {
+            for (let chunkZ = centerZ - loadRadius; chunkZ <= centerZ + loadRadius; chunkZ++) {
+                if (!this.chunks.has(this.chunkKey(chunkX, chunkZ))) {
+                    missing.push({ chunkX, chunkZ, distance: (chunkX - centerX) ** 2 + (chunkZ - centerZ) ** 2 });
+                }
+            }
+        }
         
-        // Add psychological horror elements
-        this.createReversePianoNotes();
-        this.createBuildingTensionSweeps();
+        missing.sort((a, b) => a.distance - b.distance);
+        missing.slice(0, loadLimit).forEach(({ chunkX, chunkZ }) => {
+            this.chunks.set(this.chunkKey(chunkX, chunkZ), this.game.createChunk(chunkX, chunkZ));
+        });
+    }
+}
+
+// Damage number textures kept cached by rendered text; past this the least recently shown are disposed
+const DAMAGE_NUMBER_TEXTURE_LIMIT = 48;
+
+// Pickup definitions - what each drop looks like and what it does when collected
+const PICKUP_TYPES = {
+    health: { color: 0xFF4466, shape: 'sphere', rarity: 'common', effect: 'heal', amount: 25 },
+    ammo: { color: 0xFFCC33, shape: 'box', rarity: 'common', effect: 'ammo', amount: 1 }, // Magazines for every weapon
+    scoreGem: { color: 0x44DDFF, shape: 'gem', rarity: 'common', effect: 'score', amount: 25 },
+    bigGem: { color: 0xAA66FF, shape: 'gem', rarity: 'rare', effect: 'score', amount: 150 },
+    damageBoost: { color: 0xFF3300, shape: 'orb', rarity: 'rare', effect: 'powerUp', powerUp: 'damageBoost', duration: 10 },
+    haste: { color: 0x33FF99, shape: 'orb', rarity: 'rare', effect: 'powerUp', powerUp: 'haste', duration: 10 },
+    shield: { color: 0x66AAFF, shape: 'orb', rarity: 'rare', effect: 'powerUp', powerUp: 'shield', duration: 8 }
+};
+
+// Weapon definitions - fireRate is shots per second, spread is the max deviation per axis
+const WEAPONS = {
+    pistol: {
+        name: 'Pistol',
+        fireRate: 4,
+        magazineSize: 12,
+        reloadTime: 1.0,
+        damage: 100,
+        projectileSpeed: 50,
+        spread: 0.01,
+        pellets: 1,
+        automatic: false,
+        hitscan: false,
+        startingReserve: Infinity, // Sidearm never runs dry
+        maxReserve: Infinity,
+        soundVolume: 0.6,
+        soundPitch: 1.1
+    },
+    shotgun: {
+        name: 'Shotgun',
+        fireRate: 1.2,
+        magazineSize: 6,
+        reloadTime: 2.0,
+        damage: 40,
+        projectileSpeed: 40,
+        spread: 0.12,
+        pellets: 8,
+        automatic: false,
+        hitscan: false,
+        startingReserve: 18,
+        maxReserve: 36,
+        soundVolume: 0.9,
+        soundPitch: 0.7
+    },
+    rifle: {
+        name: 'Rifle',
+        fireRate: 1.5,
+        magazineSize: 5,
+        reloadTime: 2.2,
+        damage: 250,
+        range: 80,
+        spread: 0,
+        pellets: 1,
+        automatic: false,
+        hitscan: true,
+        startingReserve: 15,
+        maxReserve: 30,
+        soundVolume: 0.8,
+        soundPitch: 0.85
+    },
+    smg: {
+        name: 'SMG',
+        fireRate: 12,
+        magazineSize: 30,
+        reloadTime: 1.6,
+        damage: 35,
+        projectileSpeed: 60,
+        spread: 0.05,
+        pellets: 1,
+        automatic: true,
+        hitscan: false,
+        startingReserve: 90,
+        maxReserve: 180,
+        soundVolume: 0.5,
+        soundPitch: 1.3
+    }
+};
+
+// Order used by number keys (1-4) and the scroll wheel
+const WEAPON_ORDER = ['pistol', 'shotgun', 'rifle', 'smg'];
+
+// Enemy roster - speed is a multiplier on the current difficulty speed, hoverHeight keeps the pill on the ground,
+// radius is the body size used for steering, xp is awarded to the player on a kill, contactRange is how close an enemy must get to hit the player. minWave/spawnWeight drive random roster picks.
+const ENEMY_TYPES = {
+    normal: {
+        name: 'Grunt', builder: 'buildGruntMesh', behavior: 'chase',
+        health: 100, speed: 1, damage: 10, score: 10, xp: 2, dropTable: 'normal',
+        radius: 0.5, hoverHeight: 1, contactRange: 2, minWave: 1, spawnWeight: 10
+    },
+    giant: {
+        name: 'Giant', builder: 'buildGiantMesh', behavior: 'chase',
+        health: 1000, speed: 0.7, damage: 20, score: 50, xp: 20, dropTable: 'giant',
+        radius: 1.0, hoverHeight: 2, contactRange: 3, minWave: 1, spawnWeight: 0 // Only appears in scripted slots
+    },
+    flanker: {
+        name: 'Flanker', builder: 'buildFlankerMesh', behavior: 'flank',
+        health: 60, speed: 1.8, damage: 8, score: 15, xp: 3, dropTable: 'normal',
+        radius: 0.4, hoverHeight: 0.8, contactRange: 1.8, minWave: 2, spawnWeight: 4,
+        circleRadius: 9, circleTime: 3, chargeMultiplier: 1.4
+    },
+    spitter: {
+        name: 'Spitter', builder: 'buildSpitterMesh', behavior: 'ranged',
+        health: 80, speed: 0.9, damage: 6, score: 20, xp: 4, dropTable: 'elite',
+        radius: 0.5, hoverHeight: 1, contactRange: 2, minWave: 3, spawnWeight: 3,
+        preferredRange: 16, fireInterval: 2.5, projectileSpeed: 14, projectileDamage: 8
+    },
+    splitter: {
+        name: 'Splitter', builder: 'buildSplitterMesh', behavior: 'chase',
+        health: 150, speed: 0.85, damage: 12, score: 15, xp: 4, dropTable: 'normal',
+        radius: 0.6, hoverHeight: 1.2, contactRange: 2.2, minWave: 4, spawnWeight: 3,
+        splitInto: 'splitling', splitCount: 3
+    },
+    splitling: {
+        name: 'Splitling', builder: 'buildSplitlingMesh', behavior: 'chase',
+        health: 40, speed: 1.5, damage: 5, score: 5, xp: 1, dropTable: 'minor',
+        radius: 0.3, hoverHeight: 0.6, contactRange: 1.5, minWave: 1, spawnWeight: 0 // Only created by splitters
+    },
+    exploder: {
+        name: 'Exploder', builder: 'buildExploderMesh', behavior: 'explode',
+        health: 70, speed: 1.3, damage: 30, score: 20, xp: 3, dropTable: 'normal',
+        radius: 0.5, hoverHeight: 1, contactRange: 0, minWave: 5, spawnWeight: 2,
+        fuseRange: 4, fuseTime: 1.0, blastRadius: 5
+    },
+    shielded: {
+        name: 'Shielded', builder: 'buildShieldedMesh', behavior: 'chase',
+        health: 200, speed: 0.75, damage: 15, score: 30, xp: 6, dropTable: 'elite',
+        radius: 1.0, hoverHeight: 1.1, contactRange: 2.2, minWave: 6, spawnWeight: 2,
+        frontShield: true // Shield plate faces the player and blocks shots
+    }
+};
+
+// Damage sources - knockback is the shove speed given to a regular-sized enemy, hitSound plays the hit blip,
+// fromPlayer marks the player's own attacks (damage numbers, damage dealt), rewards controls whether a kill
+// from this source pays out score, XP and loot, mergeNumbers folds rapid ticks into one damage number per enemy
+const DAMAGE_SOURCES = {
+    bullet: { knockback: 2, hitSound: true, fromPlayer: true, rewards: true },
+    hitscan: { knockback: 3, hitSound: true, fromPlayer: true, rewards: true },
+    blades: { knockback: 4, hitSound: true, fromPlayer: true, rewards: true },
+    shockwave: { knockback: 8, hitSound: true, fromPlayer: true, rewards: true },
+    lightning: { knockback: 0, hitSound: false, fromPlayer: true, rewards: true },
+    lantern: { knockback: 0, hitSound: false, fromPlayer: true, rewards: true, mergeNumbers: true },
+    explosion: { knockback: 6, hitSound: false, fromPlayer: false, rewards: true }, // Exploder blasts catching other enemies
+    contact: { knockback: 0, hitSound: false, fromPlayer: false, rewards: false }, // Enemy spent itself hitting the player
+    detonation: { knockback: 0, hitSound: false, fromPlayer: false, rewards: false } // Exploder blowing itself up
+};
+
+// Scripted opening waves - after these run out the director generates escalating waves.
+// A composition type of 'roster' picks a random enemy type unlocked by the current wave.
+// formation: 'scatter' (each enemy on its own bearing), 'cluster' (batch bunched at one bearing),
+// 'line' (batch spread sideways across one bearing), 'surround' (batch spaced evenly around the player)
+const WAVES = [
+    { composition: [{ type: 'normal', count: 6 }], formation: 'scatter', batchSize: 1, spawnInterval: 1.5, ring: { min: 30, max: 45 }, rest: 6 },
+    { composition: [{ type: 'normal', count: 6 }, { type: 'flanker', count: 4 }], formation: 'cluster', batchSize: 3, spawnInterval: 3, ring: { min: 30, max: 40 }, rest: 6 },
+    { composition: [{ type: 'normal', count: 6 }, { type: 'spitter', count: 2 }, { type: 'roster', count: 4 }], formation: 'line', batchSize: 4, spawnInterval: 4, ring: { min: 32, max: 40 }, rest: 8 },
+    { composition: [{ type: 'roster', count: 10 }, { type: 'giant', count: 1 }], formation: 'surround', batchSize: 5, spawnInterval: 3, ring: { min: 30, max: 38 }, rest: 8 },
+    { composition: [{ type: 'roster', count: 14 }, { type: 'exploder', count: 4 }], formation: 'scatter', batchSize: 2, spawnInterval: 1, ring: { min: 28, max: 45 }, rest: 8 },
+    { composition: [{ type: 'roster', count: 14 }, { type: 'shielded', count: 2 }, { type: 'giant', count: 2 }], formation: 'cluster', batchSize: 4, spawnInterval: 2.5, ring: { min: 30, max: 45 }, rest: 10 }
+];
+
+const WAVE_FORMATIONS = ['scatter', 'cluster', 'line', 'surround'];
+
+// Drives enemy spawning from the simulation clock: spawn a wave, wait for it to be cleared, rest, repeat
+class WaveDirector {
+    constructor(game) {
+        this.game = game;
+        this.initialDelay = 3; // Breather before the first wave
+        this.clearTimeout = 30; // Seconds after the last spawn before the next wave starts anyway
+        this.reset();
+    }
+    
+    reset() {
+        this.waveNumber = 0;
+        this.state = 'rest';
+        this.timer = this.initialDelay;
+        this.wave = null;
+        this.spawnQueue = [];
+    }
+    
+    update(deltaTime) {
+        this.timer -= deltaTime;
         
-        // Schedule terrifying sound events
-        this.scheduleHorrorSounds();
+        switch (this.state) {
+            case 'rest':
+                if (this.timer <= 0) {
+                    this.startWave(this.waveNumber + 1);
+                }
+                break;
+                
+            case 'spawning':
+                if (this.timer <= 0) {
+                    this.spawnBatch();
+                    this.timer = this.wave.spawnInterval;
+                    
+                    if (this.spawnQueue.length === 0) {
+                        this.state = 'fighting';
+                        this.timer = this.clearTimeout;
+                    }
+                }
+                break;
+                
+            case 'fighting':
+                // Wave is over once everything is dead (or the player has kited it for too long)
+                if (this.game.enemies.length === 0 || this.timer <= 0) {
+                    this.state = 'rest';
+                    this.timer = this.wave.rest;
+                }
+                break;
+        }
     }
     
-    createAmbientLayer(frequency, volume, waveType) {
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        const filter = this.audioContext.createBiquadFilter();
+    startWave(number) {
+        this.waveNumber = number;
+        this.wave = number <= WAVES.length ? WAVES[number - 1] : this.generateWave(number);
+        
+        this.spawnQueue = [];
+        this.wave.composition.forEach(group => {
+            for (let i = 0; i < group.count; i++) {
+                this.spawnQueue.push(group.type);
+            }
+        });
         
-        oscillator.type = waveType;
-        oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+        this.state = 'spawning';
+        this.timer = 0; // First batch spawns immediately
+    }
+    
+    generateWave(number) {
+        // Escalating waves once the scripted ones are exhausted - a giant joins every fifth wave
+        const extra = number - WAVES.length;
+        return {
+            composition: [
+                { type: 'roster', count: 16 + extra * 3 },
+                { type: 'giant', count: Math.floor(number / 5) }
+            ],
+            formation: WAVE_FORMATIONS[number % WAVE_FORMATIONS.length],
+            batchSize: 3 + Math.floor(extra / 2),
+            spawnInterval: Math.max(0.5, 2 - extra * 0.1),
+            ring: { min: 28, max: 45 },
+            rest: 6
+        };
+    }
+    
+    spawnBatch() {
+        const random = this.game.spawnRandom;
+        const batch = this.spawnQueue.splice(0, this.wave.batchSize);
+        const ring = this.wave.ring;
+        const center = this.game.player.position;
+        
+        // Shared bearing for the formations that arrive together
+        const anchorAngle = random() * Math.PI * 2;
+        const anchorDistance = ring.min + random() * (ring.max - ring.min);
+        
+        batch.forEach((type, i) => {
+            let angle = anchorAngle;
+            let distance = anchorDistance;
+            let sideOffset = 0;
+            
+            switch (this.wave.formation) {
+                case 'scatter':
+                    angle = random() * Math.PI * 2;
+                    distance = ring.min + random() * (ring.max - ring.min);
+                    break;
+                case 'cluster':
+                    angle += (random() - 0.5) * 0.2;
+                    distance += (random() - 0.5) * 4;
+                    break;
+                case 'line':
+                    sideOffset = (i - (batch.length - 1) / 2) * 2.5;
+                    break;
+                case 'surround':
+                    angle += (i / batch.length) * Math.PI * 2;
+                    break;
+            }
+            
+            const position = new THREE.Vector3(
+                center.x + Math.cos(angle) * distance - Math.sin(angle) * sideOffset,
+                0,
+                center.z + Math.sin(angle) * distance + Math.cos(angle) * sideOffset
+            );
+            const enemyType = type === 'roster' ? this.game.pickEnemyType(this.waveNumber) : type;
+            this.game.spawnEnemy(enemyType, position);
+        });
+    }
+    
+    getStatusText() {
+        if (this.state === 'rest') {
+            return this.waveNumber === 0 ? `Incoming ${Math.ceil(this.timer)}s` : `${this.waveNumber} cleared - next in ${Math.ceil(this.timer)}s`;
+        }
+        return `${this.waveNumber}`;
+    }
+}
+
+// Per-enemy-type drop tables (weights are relative within a table)
+const LOOT_TABLES = {
+    normal: {
+        dropChance: 0.3,
+        rolls: 1,
+        entries: [
+            { type: 'health', weight: 3 },
+            { type: 'ammo', weight: 3 },
+            { type: 'scoreGem', weight: 5 },
+            { type: 'damageBoost', weight: 0.4 },
+            { type: 'haste', weight: 0.4 },
+            { type: 'shield', weight: 0.2 }
+        ]
+    },
+    elite: {
+        dropChance: 0.6,
+        rolls: 1,
+        entries: [
+            { type: 'health', weight: 3 },
+            { type: 'ammo', weight: 3 },
+            { type: 'scoreGem', weight: 3 },
+            { type: 'bigGem', weight: 1 },
+            { type: 'damageBoost', weight: 0.6 },
+            { type: 'haste', weight: 0.6 },
+            { type: 'shield', weight: 0.4 }
+        ]
+    },
+    minor: {
+        dropChance: 0.1,
+        rolls: 1,
+        entries: [
+            { type: 'health', weight: 1 },
+            { type: 'scoreGem', weight: 3 }
+        ]
+    },
+    giant: {
+        dropChance: 1,
+        rolls: 2,
+        guaranteedRarity: 'rare', // Giants always drop at least one rare item
+        entries: [
+            { type: 'health', weight: 3 },
+            { type: 'ammo', weight: 3 },
+            { type: 'scoreGem', weight: 4 },
+            { type: 'bigGem', weight: 2 },
+            { type: 'damageBoost', weight: 1 },
+            { type: 'haste', weight: 1 },
+            { type: 'shield', weight: 1 }
+        ]
+    }
+};
+
+// Player stats before upgrades - multipliers start at 1, flat bonuses at 0
+const PLAYER_BASE_STATS = {
+    damage: 1, // Multiplier on weapon damage
+    fireRate: 1, // Multiplier on weapon fire rate
+    moveSpeed: 1, // Multiplier on walking speed
+    maxHealth: 100,
+    pierce: 0, // Extra enemies each shot passes through
+    multishot: 0, // Extra shots fanned out around the aim
+    regen: 0, // Health per second
+    pickupRadius: 1.5 // How close the player must walk to collect a drop
+};
+
+// Passive weapons fire on their own - each level entry replaces the previous one's numbers.
+// Damage values are per hit except the lantern's, which is per second spent in the beam.
+const PASSIVE_WEAPONS = {
+    blades: {
+        name: 'Blades',
+        hitCooldown: 0.5, // Seconds before the blades can cut the same enemy again
+        levels: [
+            { count: 2, damage: 25, radius: 2.5, spinSpeed: 3 },
+            { count: 3, damage: 30, radius: 2.8, spinSpeed: 3.3 },
+            { count: 4, damage: 35, radius: 3.0, spinSpeed: 3.6 },
+            { count: 5, damage: 45, radius: 3.3, spinSpeed: 4 },
+            { count: 6, damage: 55, radius: 3.6, spinSpeed: 4.5 }
+        ]
+    },
+    shockwave: {
+        name: 'Shockwave',
+        levels: [
+            { cooldown: 4, damage: 40, radius: 6, expandSpeed: 14 },
+            { cooldown: 3.6, damage: 55, radius: 7, expandSpeed: 15 },
+            { cooldown: 3.2, damage: 70, radius: 8, expandSpeed: 16 },
+            { cooldown: 2.8, damage: 90, radius: 9, expandSpeed: 18 },
+            { cooldown: 2.4, damage: 120, radius: 10, expandSpeed: 20 }
+        ]
+    },
+    lightning: {
+        name: 'Lightning',
+        hopFalloff: 0.85, // Damage kept on each hop
+        levels: [
+            { cooldown: 2.5, damage: 60, chains: 3, range: 15, hopRange: 7 },
+            { cooldown: 2.2, damage: 70, chains: 4, range: 16, hopRange: 7.5 },
+            { cooldown: 1.9, damage: 85, chains: 5, range: 17, hopRange: 8 },
+            { cooldown: 1.6, damage: 100, chains: 6, range: 18, hopRange: 8.5 },
+            { cooldown: 1.3, damage: 120, chains: 8, range: 20, hopRange: 9 }
+        ]
+    },
+    lantern: {
+        name: 'Lantern',
+        tickInterval: 0.25, // Damage is dealt in ticks to everything in the cone
+        levels: [
+            { damage: 30, range: 12 },
+            { damage: 45, range: 14 },
+            { damage: 60, range: 16 },
+            { damage: 80, range: 18 },
+            { damage: 110, range: 20 }
+        ]
+    }
+};
+
+// Level-up upgrades - stat upgrades add a modifier ('add' modifiers are summed onto the base, 'multiply' ones
+// scale the result), passive upgrades unlock or level up a passive weapon
+const UPGRADES = {
+    damage: { name: 'Sharpened Rounds', description: '+20% damage', stat: 'damage', type: 'multiply', value: 1.2, maxStacks: 8 },
+    fireRate: { name: 'Quick Trigger', description: '+15% fire rate', stat: 'fireRate', type: 'multiply', value: 1.15, maxStacks: 8 },
+    moveSpeed: { name: 'Light Feet', description: '+10% move speed', stat: 'moveSpeed', type: 'multiply', value: 1.1, maxStacks: 5 },
+    maxHealth: { name: 'Vitality', description: '+25 max health', stat: 'maxHealth', type: 'add', value: 25, maxStacks: 8 },
+    pierce: { name: 'Piercing Shots', description: 'Shots pass through +1 enemy', stat: 'pierce', type: 'add', value: 1, maxStacks: 4 },
+    multishot: { name: 'Multishot', description: '+1 extra shot per trigger pull', stat: 'multishot', type: 'add', value: 1, maxStacks: 3 },
+    regen: { name: 'Regeneration', description: 'Recover 1 health per second', stat: 'regen', type: 'add', value: 1, maxStacks: 5 },
+    pickupRadius: { name: 'Magnetism', description: '+1 pickup radius', stat: 'pickupRadius', type: 'add', value: 1, maxStacks: 4 },
+    blades: { name: 'Orbiting Blades', description: 'Blades circle you and cut enemies they pass', passive: 'blades', maxStacks: PASSIVE_WEAPONS.blades.levels.length },
+    shockwave: { name: 'Shockwave', description: 'A ring of force bursts out around you', passive: 'shockwave', maxStacks: PASSIVE_WEAPONS.shockwave.levels.length },
+    lightning: { name: 'Chain Lightning', description: 'Lightning leaps between nearby enemies', passive: 'lightning', maxStacks: PASSIVE_WEAPONS.lightning.levels.length },
+    lantern: { name: 'Burning Lantern', description: 'Your lantern beam scorches what it lights', passive: 'lantern', maxStacks: PASSIVE_WEAPONS.lantern.levels.length }
+};
+
+// XP needed to go from a level to the next
+function getXpForLevel(level) {
+    return Math.round(8 * Math.pow(level, 1.4));
+}
+
+class GhibliSurvivors {
+    constructor() {
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.clock = new THREE.Clock();
         
-        filter.type = 'lowpass';
-        filter.frequency.setValueAtTime(frequency * 2, this.audioContext.currentTime);
+        // Fixed-step simulation - gameplay always advances in simStep slices, rendering interpolates between them
+        this.simStep = 1 / 60;
+        this.maxFrameTime = 0.25; // Longer frames (tab stalls) are clamped instead of simulated in one huge step
+        this.simAccumulator = 0;
         
-        gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-        gainNode.gain.linearRampToValueAtTime(volume, this.audioContext.currentTime + 3);
+        // Debug overlay (F3 or ?debug to toggle)
+        this.debugEnabled = new URLSearchParams(window.location.search).has('debug');
+        this.debugStats = { frames: 0, ticks: 0, elapsed: 0, stepsLastFrame: 0, clampedTime: 0 };
         
-        oscillator.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(this.musicGain);
+        // Game state
+        this.gameTime = 0;
+        this.health = 100;
+        this.score = 0;
+        this.gameRunning = false;
+        this.isPaused = false;
         
-        oscillator.start();
+        // Seeded generation - the same seed always builds the same map and spawn pattern
+        const seedParam = new URLSearchParams(window.location.search).get('seed');
+        this.seed = seedParam ? parseSeed(seedParam) : randomSeed();
+        this.worldMode = new URLSearchParams(window.location.search).get('mode') === 'endless' ? 'endless' : 'arena';
+        this.terrainNoise = null; // Height noise, endless mode only
+        this.terrainStreamer = new TerrainStreamer(this);
+        this.worldRandom = null; // World layout (vegetation, rocks, fireflies)
+        this.spawnRandom = null; // Enemy spawn positions
+        this.lootRandom = null; // Drop rolls
+        this.environmentGroup = null;
+        this.resources = new ResourceManager(); // Shared geometries/materials for enemies, shots and effects
         
-        // Add subtle frequency modulation
-        const lfo = this.audioContext.createOscillator();
-        const lfoGain = this.audioContext.createGain();
+        // Progressive difficulty
+        this.baseEnemySpeed = 2; // Base enemy speed
+        this.lastDifficultyUpdate = 0; // Track when difficulty was last updated
+        this.lastGiantSpawn = 0; // Track when last giant was spawned
         
-        lfo.type = 'sine';
-        lfo.frequency.setValueAtTime(0.1 + Math.random() * 0.2, this.audioContext.currentTime);
-        lfoGain.gain.setValueAtTime(frequency * 0.02, this.audioContext.currentTime);
+        // Player
+        this.player = {
+            position: new THREE.Vector3(0, 1.7, 0), // Will be adjusted to terrain height
+            previousPosition: new THREE.Vector3(0, 1.7, 0), // Position at the previous simulation step
+            velocity: new THREE.Vector3(),
+            speed: 5,
+            radius: 0.4, // Body size for collisions with props
+            rotation: new THREE.Euler(),
+            onGround: true,
+            eyeHeight: 1.7, // Camera height above the feet, lowered while crouching
+            crouching: false,
+            sprinting: false,
+            stamina: 100,
+            staminaDelay: 0, // Seconds before stamina starts refilling
+            dashTimer: 0,
+            dashCooldown: 0,
+            dashDirection: new THREE.Vector3(),
+            invulnerableTimer: 0 // Damage is ignored while this is running
+        };
         
-        lfo.connect(lfoGain);
-        lfoGain.connect(oscillator.frequency);
-        lfo.start();
-    }
-    
-    createDarkDrone(frequency, volume, waveType) {
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        const filter = this.audioContext.createBiquadFilter();
+        // Progression - upgrades feed statModifiers, which are folded into stats
+        this.level = 1;
+        this.xp = 0;
+        this.pendingLevelUps = 0;
+        this.upgradeChoices = null; // Upgrade ids on offer while the level-up overlay is open
+        this.upgradeCounts = {};
+        this.statModifiers = [];
+        this.stats = { ...PLAYER_BASE_STATS };
+        this.regenDelay = 0;
+        
+        // Passive weapons owned this run (id -> { level, cooldown, ... }) and their scene objects
+        this.passiveWeapons = {};
+        this.bladeGroup = null;
+        this.shockwaves = [];
+        
+        // Floating damage numbers and per-run combat totals
+        this.damageNumbers = [];
+        this.damageNumberTextures = new Map(); // Resource key -> texture, least recently used first
+        this.combo = { count: 0, timer: 0 };
+        this.comboWindow = 3; // Seconds after a kill before the combo drops
+        this.killFeed = []; // { element, time } newest last
+        this.killFeedLimit = 5;
+        this.killFeedDuration = 5;
+        this.runStats = new StatsCollector();
+        
+        // Player hurt feedback
+        this.hurtInvulnerability = 0.6; // Seconds of i-frames after taking a hit
+        this.hurtFlash = 0; // Vignette strength, fades each frame
+        this.cameraShake = 0; // Shake strength in world units, fades each frame
+        this.damageIndicators = []; // { element, source, life }
+        this.heartbeatTimer = 0;
+        
+        // Player movement tuning
+        this.movement = {
+            gravity: 20,
+            jumpSpeed: 6.5,
+            standHeight: 1.7,
+            crouchHeight: 1.0,
+            crouchSpeed: 0.5, // Speed multiplier while crouched
+            sprintSpeed: 1.7, // Speed multiplier while sprinting
+            maxStamina: 100,
+            sprintDrain: 25, // Stamina per second
+            staminaRegen: 20, // Stamina per second
+            staminaRegenDelay: 1,
+            dashSpeed: 18,
+            dashDuration: 0.2,
+            dashCooldown: 1.2,
+            dashCost: 30,
+            dashInvulnerability: 0.35
+        };
         
-        oscillator.type = waveType;
-        oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+        // Controls
+        this.mouse = { x: 0, y: 0 };
+        this.mouseSpeed = 0.002; // Radians per pixel at 1x sensitivity
+        this.capturingBinding = null; // Action waiting for a new key in the settings panel
         
-        // Dark, filtered sound
-        filter.type = 'lowpass';
-        filter.frequency.setValueAtTime(frequency * 1.5, this.audioContext.currentTime);
-        filter.Q.setValueAtTime(2, this.audioContext.currentTime);
+        // Persisted settings - applied at startup and again whenever one changes
+        this.settings = new SettingsStore();
         
-        gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-        gainNode.gain.linearRampToValueAtTime(volume, this.audioContext.currentTime + 5);
+        // Keyboard, mouse and gamepad inputs resolved to actions through the saved bindings
+        this.input = new InputManager(() => this.settings.get('bindings'));
         
-        oscillator.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(this.musicGain);
+        // Local leaderboard and run history
+        this.runHistory = new RunHistory();
+        this.lastRunId = null;
+        this.recordsOpen = false;
+        this.recordsView = 'score'; // score, time or history
+        this.recordsMode = 'arena'; // Which world mode's leaderboard is shown
         
-        oscillator.start();
+        // Game objects
+        this.enemies = [];
+        this.bullets = [];
+        this.pickups = [];
+        this.enemyProjectiles = [];
+        this.terrain = null;
         
-        // Add menacing frequency modulation
-        const lfo = this.audioContext.createOscillator();
-        const lfoGain = this.audioContext.createGain();
+        // Shot collision
+        this.raycaster = new THREE.Raycaster();
+        this.bulletBlockers = []; // Static meshes that stop bullets (terrain, trees, rocks)
+        
+        // Static props registered by the environment builders, plus grids for neighbour lookups
+        this.staticColliders = [];
+        this.colliderHash = new SpatialHash(8);
+        this.vegetation = []; // Instanced flowers and grass thinned by the vegetation density setting
+        this.enemyHash = new SpatialHash(4); // Kept current as enemies spawn, move and die
+        this.pickupHash = new SpatialHash(4);
+        this.maxContactRange = Math.max(...Object.values(ENEMY_TYPES).map(definition => definition.contactRange));
+        
+        // Enemy steering weights
+        this.steering = {
+            separation: 4, // Units per second to push apart overlapping neighbours
+            avoidance: 2.0, // Steer around props ahead
+            lookAhead: 3 // How far ahead enemies look for props
+        };
+        this.headshotMultiplier = 2;
+        this.headshotBonusScore = 5;
         
-        lfo.type = 'triangle';
-        lfo.frequency.setValueAtTime(0.05 + Math.random() * 0.1, this.audioContext.currentTime);
-        lfoGain.gain.setValueAtTime(frequency * 0.03, this.audioContext.currentTime);
+        // Loot and power-ups
+        this.pickupLifetime = 20; // Seconds before an uncollected drop despawns
+        this.activePowerUps = {}; // Power-up name -> seconds remaining
         
-        lfo.connect(lfoGain);
-        lfoGain.connect(oscillator.frequency);
-        lfo.start();
-    }
-    
-    createWindSound() {
-        // Create wind using filtered noise
-        const bufferSize = this.audioContext.sampleRate * 10; // 10 seconds of wind
-        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-        const data = buffer.getChannelData(0);
+        // Weapons
+        this.currentWeapon = 'pistol';
+        this.weaponAmmo = {}; // Weapon id -> { magazine, reserve }
+        this.fireCooldown = 0;
+        this.reloadTimer = 0;
+        this.triggerHeld = false;
+        this.resetWeapons();
         
-        for (let i = 0; i < bufferSize; i++) {
-            data[i] = (Math.random() * 2 - 1) * 0.1;
-        }
+        // Single spawner for the lifetime of the game - reset on every (re)start
+        this.waveDirector = new WaveDirector(this);
         
-        const windSource = this.audioContext.createBufferSource();
-        const filter = this.audioContext.createBiquadFilter();
-        const gainNode = this.audioContext.createGain();
+        // Air wall boundaries - set by buildWorld for the current world mode
+        this.worldBounds = null;
         
-        windSource.buffer = buffer;
-        windSource.loop = true;
+        // Particle systems - effect bursts go through this.particleEngine, created with the scene
+        this.particleEngine = null;
+        this.fireflies = [];
+        this.muzzleFlashes = [];
+        this.dustParticles = [];
         
-        filter.type = 'bandpass';
-        filter.frequency.setValueAtTime(200, this.audioContext.currentTime);
-        filter.Q.setValueAtTime(0.5, this.audioContext.currentTime);
+        // Audio system
+        this.audioContext = null;
+        this.sounds = {};
+        this.musicGain = null;
+        this.sfxGain = null;
+        this.backgroundMusic = null;
+        this.audioScheduler = new AudioScheduler(); // Drives the ambient music and horror sound loops
         
-        gainNode.gain.setValueAtTime(0.03, this.audioContext.currentTime);
+        // Pause menu state
+        this.pauseMenuOpen = false;
+        this.pausedAt = 0;
         
-        windSource.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(this.musicGain);
+        this.init();
+        this.setupPlayAgainButton();
+        this.setupPauseMenu();
+        this.setupRecords();
         
-        windSource.start();
+        // ?memcheck runs the restart leak check once everything is set up; the result is left on
+        // window.memoryCheckResult for automated runs to assert on
+        if (new URLSearchParams(window.location.search).has('memcheck')) {
+            window.memoryCheckResult = this.runMemoryCheck();
+        }
     }
     
-    scheduleNightSounds() {
-        const playNightSound = () => {
-            if (Math.random() < 0.3) {
-                this.playOwlHoot();
-            } else if (Math.random() < 0.5) {
-                this.playCrickets();
-            }
-            
-            // Schedule next sound
-            setTimeout(playNightSound, 15000 + Math.random() * 30000); // 15-45 seconds
-        };
+    init() {
+        this.setupScene();
+        this.setupControls();
+        this.buildWorld();
+        this.setupAudio();
+        this.applySettings();
+        this.startGame();
+        this.animate();
+    }
+    
+    setupPlayAgainButton() {
+        // Play Again rolls a fresh map, Replay Seed runs the same layout again - both in the world mode picked beside them
+        const modeSelect = document.getElementById('worldModeSelect');
+        const playAgainBtn = document.getElementById('playAgainBtn');
+        if (playAgainBtn) {
+            playAgainBtn.addEventListener('click', () => {
+                this.restartGame(randomSeed(), modeSelect.value);
+            });
+        }
         
-        // Start after 10 seconds
-        setTimeout(playNightSound, 10000);
+        const replaySeedBtn = document.getElementById('replaySeedBtn');
+        if (replaySeedBtn) {
+            replaySeedBtn.addEventListener('click', () => {
+                this.restartGame(this.seed, modeSelect.value);
+            });
+        }
     }
     
-    playOwlHoot() {
-        if (!this.audioContext) return;
+    setupPauseMenu() {
+        document.getElementById('resumeBtn').addEventListener('click', () => {
+            this.resumeGame();
+        });
         
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        const filter = this.audioContext.createBiquadFilter();
-        
-        oscillator.type = 'sine';
-        filter.type = 'lowpass';
-        filter.frequency.setValueAtTime(800, this.audioContext.currentTime);
+        document.getElementById('restartBtn').addEventListener('click', () => {
+            this.restartGame(this.seed);
+        });
         
-        const now = this.audioContext.currentTime;
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            this.showPausePanel('pauseSettingsPanel');
+        });
         
-        // Two-note hoot
-        oscillator.frequency.setValueAtTime(400, now);
-        oscillator.frequency.setValueAtTime(300, now + 0.3);
-        oscillator.frequency.setValueAtTime(300, now + 0.6);
-        oscillator.frequency.setValueAtTime(250, now + 0.9);
+        document.getElementById('controlsBtn').addEventListener('click', () => {
+            this.showPausePanel('pauseControlsPanel');
+        });
         
-        gainNode.gain.setValueAtTime(0, now);
-        gainNode.gain.linearRampToValueAtTime(0.1, now + 0.1);
-        gainNode.gain.linearRampToValueAtTime(0.05, now + 0.3);
-        gainNode.gain.linearRampToValueAtTime(0.08, now + 0.6);
-        gainNode.gain.linearRampToValueAtTime(0, now + 1.2);
+        document.getElementById('quitBtn').addEventListener('click', () => {
+            this.closePauseMenu();
+            this.gameOver();
+        });
         
-        oscillator.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(this.musicGain);
+        document.querySelectorAll('.pauseBackBtn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.showPausePanel('pauseMainPanel');
+            });
+        });
         
-        oscillator.start(now);
-        oscillator.stop(now + 1.2);
+        // Leaving the tab or window pauses the run
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame();
+            }
+        });
+        window.addEventListener('blur', () => {
+            this.pauseGame();
+        });
     }
     
-    playCrickets() {
-        if (!this.audioContext) return;
+    setupRecords() {
+        // Leaderboard and run history overlay, opened from the game over screen or the pause menu
+        document.getElementById('recordsBtn').addEventListener('click', () => this.openRecords());
+        document.getElementById('pauseRecordsBtn').addEventListener('click', () => this.openRecords());
+        document.getElementById('closeRecordsBtn').addEventListener('click', () => this.closeRecords());
+        
+        document.querySelectorAll('#recordsTabs button').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.recordsView = tab.dataset.recordsView;
+                this.renderRecords();
+            });
+        });
+        document.querySelectorAll('#recordsModes button').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.recordsMode = tab.dataset.recordsMode;
+                this.renderRecords();
+            });
+        });
         
-        for (let i = 0; i < 5; i++) {
-            setTimeout(() => {
-                const oscillator = this.audioContext.createOscillator();
-                const gainNode = this.audioContext.createGain();
-                
-                oscillator.type = 'square';
-                oscillator.frequency.setValueAtTime(2000 + Math.random() * 1000, this.audioContext.currentTime);
-                
-                const now = this.audioContext.currentTime;
-                gainNode.gain.setValueAtTime(0, now);
-                gainNode.gain.linearRampToValueAtTime(0.02, now + 0.01);
-                gainNode.gain.linearRampToValueAtTime(0, now + 0.1);
-                
-                oscillator.connect(gainNode);
-                gainNode.connect(this.musicGain);
-                
-                oscillator.start(now);
-                oscillator.stop(now + 0.1);
-            }, i * 100 + Math.random() * 200);
-        }
+        // Export downloads every stored run; import merges someone else's file into ours
+        document.getElementById('exportRunsBtn').addEventListener('click', () => {
+            const blob = new Blob([this.runHistory.exportJSON()], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'ghibli-survivors-runs.json';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+        
+        const importInput = document.getElementById('importRunsFile');
+        document.getElementById('importRunsBtn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+            
+            const message = document.getElementById('recordsMessage');
+            try {
+                const added = this.runHistory.importJSON(await file.text());
+                message.textContent = `Imported ${added} run${added === 1 ? '' : 's'}`;
+            } catch (error) {
+                message.textContent = `Import failed: ${error.message}`;
+            }
+            this.renderRecords();
+        });
+        
+        // Name typed on the game over screen is stored on the run that just ended and remembered for next time
+        document.getElementById('playerName').addEventListener('change', (event) => {
+            const name = event.target.value.trim().slice(0, 16) || 'Player';
+            event.target.value = name;
+            if (this.lastRunId) {
+                this.runHistory.renameRun(this.lastRunId, name);
+            }
+        });
     }
     
-    createDissonantLayer(frequency, volume, waveType) {
-        // Create slightly detuned oscillators for dissonance
-        for (let i = 0; i < 3; i++) {
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            const filter = this.audioContext.createBiquadFilter();
-            
-            // Slight detuning creates unsettling dissonance
-            const detune = (i - 1) * 7; // -7, 0, +7 cents
-            oscillator.type = waveType;
-            oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
-            oscillator.detune.setValueAtTime(detune, this.audioContext.currentTime);
-            
-            filter.type = 'bandpass';
-            filter.frequency.setValueAtTime(frequency * 2, this.audioContext.currentTime);
-            filter.Q.setValueAtTime(0.8, this.audioContext.currentTime);
-            
-            gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-            gainNode.gain.linearRampToValueAtTime(volume / 3, this.audioContext.currentTime + 4);
-            
-            oscillator.connect(filter);
-            filter.connect(gainNode);
-            gainNode.connect(this.musicGain);
-            
-            oscillator.start();
+    buildWorld() {
+        // Everything generated from the seed lives in one group so it can be rebuilt
+        this.worldRandom = createSeededRandom(this.seed);
+        this.environmentGroup = new THREE.Group();
+        this.scene.add(this.environmentGroup);
+        
+        // The arena is walled in at half the terrain size; endless worlds have no edge
+        const endless = this.worldMode === 'endless';
+        this.worldBounds = endless
+            ? { minX: -Infinity, maxX: Infinity, minZ: -Infinity, maxZ: Infinity }
+            : { minX: -50, maxX: 50, minZ: -50, maxZ: 50 };
+        this.terrainNoise = endless ? createValueNoise(this.seed) : null;
+        
+        this.createEnvironment();
+        this.createParticleSystems();
+        this.centerSkyOn(this.player.position);
+        
+        // Keep the seed and mode in the URL so the current map can be shared
+        const params = new URLSearchParams(window.location.search);
+        params.set('seed', this.seed);
+        if (endless) {
+            params.set('mode', 'endless');
+        } else {
+            params.delete('mode');
         }
+        window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
     }
     
-    createOminousWind() {
-        // Create unsettling wind using filtered noise with automation
-        const bufferSize = this.audioContext.sampleRate * 15; // 15 seconds of wind
-        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-        const data = buffer.getChannelData(0);
+    rebuildWorld() {
+        this.resources.release(this.environmentGroup);
+        this.bulletBlockers = [];
+        this.staticColliders = [];
+        this.colliderHash.clear();
+        this.vegetation = [];
+        this.fireflies = [];
+        this.dustParticles = [];
+        this.starGroup = null;
+        this.stars = null;
+        this.terrainStreamer.clear();
         
-        for (let i = 0; i < bufferSize; i++) {
-            data[i] = (Math.random() * 2 - 1) * 0.15;
+        this.buildWorld();
+    }
+    
+    restartGame(seed = this.seed, mode = this.worldMode) {
+        // Hide game over, pause and level-up UI
+        document.getElementById('gameOverUI').style.display = 'none';
+        document.getElementById('levelUpUI').style.display = 'none';
+        this.closePauseMenu();
+        
+        // Generate a new map if the seed or world mode changed
+        if (seed !== this.seed || mode !== this.worldMode) {
+            this.seed = seed;
+            this.worldMode = mode;
+            this.rebuildWorld();
         }
         
-        const windSource = this.audioContext.createBufferSource();
-        const filter = this.audioContext.createBiquadFilter();
-        const gainNode = this.audioContext.createGain();
-        
-        windSource.buffer = buffer;
-        windSource.loop = true;
+        this.resetRunState();
         
-        filter.type = 'bandpass';
-        filter.frequency.setValueAtTime(180, this.audioContext.currentTime);
-        filter.Q.setValueAtTime(0.3, this.audioContext.currentTime);
+        // Start new game
+        this.startGame();
         
-        gainNode.gain.setValueAtTime(0.04, this.audioContext.currentTime);
+        // Request pointer lock for new game
+        this.renderer.domElement.requestPointerLock();
+    }
+    
+    resetRunState() {
+        // Clear all existing game objects
+        this.clearGameObjects();
         
-        windSource.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(this.musicGain);
+        // Reset game state
+        this.gameTime = 0;
+        this.health = 100;
+        this.score = 0;
+        this.gameRunning = false;
+        this.isPaused = false;
+        this.enemies = [];
+        this.bullets = [];
+        this.pickups = [];
+        this.enemyProjectiles = [];
+        this.muzzleFlashes = [];
+        this.activePowerUps = {};
+        this.resetWeapons();
+        this.resetProgression();
         
-        windSource.start();
+        // Reset player position and movement state
+        this.player.position.set(0, 1.7, 0);
+        this.player.velocity.set(0, 0, 0);
+        this.player.onGround = true;
+        this.player.eyeHeight = this.movement.standHeight;
+        this.player.crouching = false;
+        this.player.sprinting = false;
+        this.player.stamina = this.movement.maxStamina;
+        this.player.staminaDelay = 0;
+        this.player.dashTimer = 0;
+        this.player.dashCooldown = 0;
+        this.player.invulnerableTimer = 0;
+        this.mouse.x = 0;
+        this.mouse.y = 0;
         
-        // Add automation for tension building
-        setInterval(() => {
-            if (this.audioContext) {
-                const now = this.audioContext.currentTime;
-                const intensity = 0.04 + Math.random() * 0.02;
-                gainNode.gain.linearRampToValueAtTime(intensity, now + 2);
-                
-                const filterFreq = 180 + Math.random() * 100;
-                filter.frequency.linearRampToValueAtTime(filterFreq, now + 3);
-            }
-        }, 8000);
-    }
-    
-    createTensionPulse() {
-        // Create subtle rhythmic pulses that build tension
-        const pulse = () => {
-            if (!this.audioContext) return;
-            
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            const filter = this.audioContext.createBiquadFilter();
-            
-            oscillator.type = 'sine';
-            oscillator.frequency.setValueAtTime(40 + Math.random() * 20, this.audioContext.currentTime);
-            
-            filter.type = 'lowpass';
-            filter.frequency.setValueAtTime(100, this.audioContext.currentTime);
-            
-            const now = this.audioContext.currentTime;
-            gainNode.gain.setValueAtTime(0, now);
-            gainNode.gain.linearRampToValueAtTime(0.02, now + 0.1);
-            gainNode.gain.linearRampToValueAtTime(0, now + 0.8);
-            
-            oscillator.connect(filter);
-            filter.connect(gainNode);
-            gainNode.connect(this.musicGain);
-            
-            oscillator.start(now);
-            oscillator.stop(now + 0.8);
-            
-            // Schedule next pulse with irregular timing for unease
-            setTimeout(pulse, 3000 + Math.random() * 4000);
-        };
+        // Position player properly on terrain, with the chunks around the spawn point loaded in endless mode
+        if (this.worldMode === 'endless') {
+            this.terrainStreamer.update(this.player.position, Infinity);
+        }
+        this.positionPlayerOnTerrain();
         
-        // Start first pulse after 5 seconds
-        setTimeout(pulse, 5000);
-    }
-    
-    scheduleHorrorSounds() {
-        const playHorrorSound = () => {
-            const rand = Math.random();
-            if (rand < 0.3) {
-                this.playDistantScream();
-            } else if (rand < 0.6) {
-                this.playMetallicClang();
-            } else if (rand < 0.8) {
-                this.playWhisper();
-            } else {
-                this.playCreepyChimes();
-            }
-            
-            // Schedule next horror sound with long, irregular intervals
-            setTimeout(playHorrorSound, 20000 + Math.random() * 40000); // 20-60 seconds
-        };
+        // Update camera
+        this.camera.position.copy(this.player.position);
+        this.camera.rotation.set(0, 0, 0);
         
-        // Start after 15 seconds
-        setTimeout(playHorrorSound, 15000);
+        // Update player light
+        if (this.playerLight) {
+            this.playerLight.position.copy(this.player.position);
+            this.playerLight.position.y += 0.5;
+            const direction = new THREE.Vector3(0, 0, -1);
+            this.playerLight.target.position.copy(this.player.position).add(direction.multiplyScalar(10));
+        }
     }
     
-    playDistantScream() {
-        if (!this.audioContext) return;
+    clearGameObjects() {
+        // Remove all enemies
+        this.enemies.forEach(enemy => {
+            this.resources.release(enemy);
+        });
+        this.enemyHash.clear();
         
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        const filter = this.audioContext.createBiquadFilter();
+        // Remove all bullets  
+        this.bullets.forEach(bullet => {
+            this.resources.release(bullet);
+        });
         
-        oscillator.type = 'sawtooth';
-        filter.type = 'bandpass';
-        filter.frequency.setValueAtTime(800, this.audioContext.currentTime);
-        filter.Q.setValueAtTime(3, this.audioContext.currentTime);
+        // Kill all effect particles
+        this.particleEngine.clear();
         
-        const now = this.audioContext.currentTime;
+        // Remove all muzzle flashes
+        this.muzzleFlashes.forEach(flash => {
+            this.resources.release(flash);
+        });
         
-        // Distant scream frequency modulation
-        oscillator.frequency.setValueAtTime(400, now);
-        oscillator.frequency.linearRampToValueAtTime(800, now + 0.3);
-        oscillator.frequency.linearRampToValueAtTime(300, now + 1.2);
+        // Remove all uncollected pickups
+        this.pickups.forEach(pickup => {
+            this.resources.release(pickup);
+        });
+        this.pickupHash.clear();
         
-        gainNode.gain.setValueAtTime(0, now);
-        gainNode.gain.linearRampToValueAtTime(0.08, now + 0.2);
-        gainNode.gain.linearRampToValueAtTime(0, now + 1.5);
+        // Remove all enemy projectiles
+        this.enemyProjectiles.forEach(projectile => {
+            this.resources.release(projectile);
+        });
         
-        oscillator.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(this.musicGain);
+        // Remove passive weapon visuals
+        if (this.bladeGroup) {
+            this.resources.release(this.bladeGroup);
+            this.bladeGroup = null;
+        }
+        this.shockwaves.forEach(shockwave => {
+            this.resources.release(shockwave);
+        });
+        this.shockwaves = [];
         
-        oscillator.start(now);
-        oscillator.stop(now + 1.5);
+        // Remove damage numbers
+        this.damageNumbers.forEach(number => {
+            this.removeDamageNumberSprite(number);
+        });
+        this.damageNumbers = [];
+        this.damageNumberTextures.forEach((texture, key) => this.resources.disposeTexture(key));
+        this.damageNumberTextures.clear();
     }
     
-    playMetallicClang() {
-        if (!this.audioContext) return;
-        
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        const filter = this.audioContext.createBiquadFilter();
+    spawnResourceSample(cycle = 0) {
+        // One of every runtime object that allocates GPU resources, placed in front of the camera so it gets uploaded.
+        // The damage number changes with the cycle so a cache that only ever grows shows up in the counts
+        const ahead = new THREE.Vector3(0, 0, -6).applyQuaternion(this.camera.quaternion).add(this.player.position);
+        const direction = ahead.clone().sub(this.camera.position).normalize();
+        
+        Object.keys(ENEMY_TYPES).forEach(type => {
+            const enemy = this.spawnEnemy(type, ahead.clone());
+            if (enemy.mouth) {
+                this.fireEnemyProjectile(enemy, ENEMY_TYPES[type]);
+            }
+        });
+        Object.keys(PICKUP_TYPES).forEach(type => this.spawnPickup(type, ahead));
+        
+        this.fireProjectile(direction, WEAPONS.pistol, WEAPONS.pistol.damage);
+        this.createTracer(this.camera.position.clone(), ahead);
+        this.createLightningBolt(this.camera.position.clone(), ahead);
+        this.createDamageNumber(ahead, 100 + cycle, true);
+        this.createHitEffect(ahead);
+        this.levelUpPassive('blades');
+        this.emitShockwave(PASSIVE_WEAPONS.shockwave.levels[0]);
+    }
+    
+    runMemoryCheck(cycles = 5) {
+        // Fill the scene, then clear it and rebuild the world, several times over. The first cycle warms the
+        // shared caches; every later cycle has to land on exactly the same renderer.info.memory counts.
+        // Nothing here starts a run, so the game is left idle on the start screen.
+        const memory = this.renderer.info.memory;
+        const samples = [];
+        
+        for (let cycle = 0; cycle < cycles; cycle++) {
+            this.spawnResourceSample(cycle);
+            this.renderer.render(this.scene, this.camera);
+            const peak = { geometries: memory.geometries, textures: memory.textures };
+            
+            this.rebuildWorld();
+            this.resetRunState(); // Clears the game objects too
+            this.renderer.render(this.scene, this.camera);
+            samples.push({
+                cycle,
+                peakGeometries: peak.geometries,
+                peakTextures: peak.textures,
+                geometries: memory.geometries,
+                textures: memory.textures
+            });
+        }
         
-        oscillator.type = 'square';
-        oscillator.frequency.setValueAtTime(200 + Math.random() * 100, this.audioContext.currentTime);
+        const baseline = samples[0];
+        const passed = samples.every(sample => sample.geometries === baseline.geometries && sample.textures === baseline.textures);
+        console.table(samples);
+        console[passed ? 'log' : 'error'](
+            `Memory check ${passed ? 'passed' : 'failed'}: ${baseline.geometries} geometries / ${baseline.textures} textures after restart`
+        );
+        return { passed, samples };
+    }
+    
+    setupScene() {
+        // Scene
+        this.scene = new THREE.Scene();
+        this.scene.fog = new THREE.Fog(0x000020, 10, 50); // Restored to previous range
+        this.particleEngine = new ParticleEngine(this.scene);
         
-        filter.type = 'highpass';
-        filter.frequency.setValueAtTime(150, this.audioContext.currentTime);
+        // Camera
+        this.camera = new THREE.PerspectiveCamera(this.settings.get('fov'), window.innerWidth / window.innerHeight, 0.1, 1000);
+        this.camera.position.copy(this.player.position);
         
-        const now = this.audioContext.currentTime;
-        gainNode.gain.setValueAtTime(0, now);
-        gainNode.gain.linearRampToValueAtTime(0.06, now + 0.01);
-        gainNode.gain.exponentialRampToValueAtTime(0.001, now + 2);
+        // Renderer
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setClearColor(0x000011); // Very dark night sky
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        document.getElementById('gameContainer').appendChild(this.renderer.domElement);
         
-        oscillator.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(this.musicGain);
+        // Nighttime lighting setup
+        // Very dim ambient light to simulate moonlight
+        const ambientLight = new THREE.AmbientLight(0x202040, 0.1);
+        this.scene.add(ambientLight);
         
-        oscillator.start(now);
-        oscillator.stop(now + 2);
+        // Weak moonlight from above
+        // Shadow map sizes come from the shadow quality setting in applySettings()
+        this.moonLight = new THREE.DirectionalLight(0x404080, 0.2);
+        this.moonLight.position.set(0, 100, 0);
+        this.moonLight.castShadow = true;
+        this.moonLight.shadow.camera.near = 0.5;
+        this.moonLight.shadow.camera.far = 100;
+        this.moonLight.shadow.camera.left = -50;
+        this.moonLight.shadow.camera.right = 50;
+        this.moonLight.shadow.camera.top = 50;
+        this.moonLight.shadow.camera.bottom = -50;
+        this.scene.add(this.moonLight);
+        
+        // Player's flashlight/lantern (restored range)
+        this.playerLight = new THREE.SpotLight(0xffffff, 2.0, 20, Math.PI / 5, 0.4); // Restored range from 10 to 20
+        this.playerLight.position.copy(this.player.position);
+        this.playerLight.target.position.set(0, 0, -1);
+        this.playerLight.castShadow = true;
+        this.scene.add(this.playerLight);
+        this.scene.add(this.playerLight.target);
+        
+        // Resize handler
+        window.addEventListener('resize', () => {
+            this.camera.aspect = window.innerWidth / window.innerHeight;
+            this.camera.updateProjectionMatrix();
+            this.renderer.setSize(window.innerWidth, window.innerHeight);
+        });
     }
     
-    playWhisper() {
-        if (!this.audioContext) return;
+    setupControls() {
+        // Keyboard controls - raw keys feed the input layer, which raises actions through the bindings
+        document.addEventListener('keydown', (event) => {
+            // The settings panel is waiting for a key to bind - swallow it
+            if (this.capturingBinding) {
+                event.preventDefault();
+                this.captureBinding(event.code);
+                return;
+            }
+            
+            // Typing a name on the game over screen isn't game input
+            if (event.target.tagName === 'INPUT' && event.target.type === 'text') return;
+            
+            // Keep Space from scrolling the page and Ctrl from triggering browser shortcuts where possible
+            const actions = this.input.actionsFor(event.code);
+            if (actions.includes('jump') || actions.includes('crouch')) {
+                event.preventDefault();
+            }
+            
+            // Escape always reaches the pause menu, even if pause is bound elsewhere
+            if (event.code === 'Escape' && !actions.includes('pause')) {
+                this.handleEscape();
+            }
+            
+            if (event.code === 'F3') {
+                event.preventDefault();
+                this.toggleDebugOverlay();
+            }
+            
+            // Number keys pick an upgrade while the level-up overlay is open, otherwise switch weapons
+            const weaponSlot = ['Digit1', 'Digit2', 'Digit3', 'Digit4'].indexOf(event.code);
+            if (this.upgradeChoices) {
+                if (weaponSlot !== -1) this.chooseUpgrade(weaponSlot);
+            } else if (weaponSlot !== -1 && weaponSlot < WEAPON_ORDER.length) {
+                this.switchWeapon(WEAPON_ORDER[weaponSlot]);
+            }
+            
+            this.input.press(event.code);
+        });
         
-        // Create whisper-like noise
-        const bufferSize = this.audioContext.sampleRate * 2;
-        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-        const data = buffer.getChannelData(0);
+        document.addEventListener('keyup', (event) => {
+            this.input.release(event.code);
+        });
         
-        for (let i = 0; i < bufferSize; i++) {
-            const t = i / this.audioContext.sampleRate;
-            data[i] = (Math.random() * 2 - 1) * Math.exp(-t * 0.5) * 0.3;
-        }
+        this.input.onPress((code, actions) => this.handleInputPress(code, actions));
         
-        const source = this.audioContext.createBufferSource();
-        const filter = this.audioContext.createBiquadFilter();
-        const gainNode = this.audioContext.createGain();
+        // Mouse controls
+        document.addEventListener('mousemove', (event) => {
+            if (document.pointerLockElement === this.renderer.domElement) {
+                const speed = this.mouseSpeed * this.settings.get('mouseSensitivity');
+                this.mouse.x += event.movementX * speed;
+                this.mouse.y += event.movementY * speed * (this.settings.get('invertY') ? -1 : 1);
+                this.mouse.y = Math.max(-Math.PI/2, Math.min(Math.PI/2, this.mouse.y));
+            }
+        });
         
-        source.buffer = buffer;
+        document.addEventListener('click', () => {
+            // Resume audio context on first user interaction
+            this.resumeAudioContext();
+            
+            // Menus and overlays handle their own clicks - only grab the pointer for a live game
+            if (this.isPaused || !this.gameRunning) return;
+            
+            if (document.pointerLockElement !== this.renderer.domElement) {
+                this.renderer.domElement.requestPointerLock();
+            }
+        });
         
-        filter.type = 'bandpass';
-        filter.frequency.setValueAtTime(2000, this.audioContext.currentTime);
-        filter.Q.setValueAtTime(2, this.audioContext.currentTime);
+        // Mouse buttons and the wheel only count as game input while the pointer is locked
+        document.addEventListener('mousedown', (event) => {
+            if (document.pointerLockElement !== this.renderer.domElement) return;
+            this.input.press(`Mouse${event.button}`);
+        });
         
-        gainNode.gain.setValueAtTime(0.03, this.audioContext.currentTime);
+        document.addEventListener('mouseup', (event) => {
+            this.input.release(`Mouse${event.button}`);
+        });
         
-        source.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(this.musicGain);
+        document.addEventListener('wheel', (event) => {
+            if (document.pointerLockElement !== this.renderer.domElement) return;
+            this.input.pulse(event.deltaY > 0 ? 'WheelDown' : 'WheelUp');
+        });
         
-        source.start();
+        // Pointer lock change
+        // Losing the pointer (browser Escape, alt-tab) opens the pause menu
+        document.addEventListener('pointerlockchange', () => {
+            if (document.pointerLockElement !== this.renderer.domElement) {
+                this.pauseGame();
+            }
+        });
+        
+        // Settings panel - sensitivity, graphics, volumes and key bindings
+        this.setupSettingsPanel();
     }
     
-    playCreepyChimes() {
-        if (!this.audioContext) return;
+    setupSettingsPanel() {
+        // Every input tagged with data-setting edits the setting of the same name
+        document.querySelectorAll('[data-setting]').forEach(input => {
+            const key = input.dataset.setting;
+            input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+                let value = input.value;
+                if (input.type === 'checkbox') {
+                    value = input.checked;
+                } else if (typeof DEFAULT_SETTINGS[key] === 'number') {
+                    value = parseFloat(input.value);
+                }
+                this.settings.set(key, value);
+            });
+        });
         
-        const frequencies = [523.25, 587.33, 659.25, 698.46, 783.99]; // C5, D5, E5, F5, G5
+        document.getElementById('resetSettingsBtn').addEventListener('click', () => {
+            this.cancelBindingCapture();
+            this.settings.reset();
+        });
         
-        for (let i = 0; i < 3; i++) {
-            setTimeout(() => {
-                const oscillator = this.audioContext.createOscillator();
-                const gainNode = this.audioContext.createGain();
-                
-                oscillator.type = 'sine';
-                oscillator.frequency.setValueAtTime(
-                    frequencies[Math.floor(Math.random() * frequencies.length)], 
-                    this.audioContext.currentTime
-                );
-                
-                const now = this.audioContext.currentTime;
-                gainNode.gain.setValueAtTime(0, now);
-                gainNode.gain.linearRampToValueAtTime(0.04, now + 0.1);
-                gainNode.gain.exponentialRampToValueAtTime(0.001, now + 3);
-                
-                oscillator.connect(gainNode);
-                gainNode.connect(this.musicGain);
-                
-                oscillator.start(now);
-                oscillator.stop(now + 3);
-            }, i * 800 + Math.random() * 400);
-        }
+        this.settings.onChange(key => this.applySetting(key));
+        this.renderBindings();
     }
     
-    createPsychologicalTensionTheme() {
-        // Create the main psychological horror theme using minor scales and tritones
-        const playThemeNote = (frequency, delay, duration, volume) => {
-            setTimeout(() => {
-                if (!this.audioContext) return;
-                
-                const oscillator = this.audioContext.createOscillator();
-                const gainNode = this.audioContext.createGain();
-                const filter = this.audioContext.createBiquadFilter();
-                
-                oscillator.type = 'sine';
-                oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
-                
-                // Dark filtering
-                filter.type = 'lowpass';
-                filter.frequency.setValueAtTime(frequency * 1.2, this.audioContext.currentTime);
-                filter.Q.setValueAtTime(3, this.audioContext.currentTime);
-                
-                const now = this.audioContext.currentTime;
-                gainNode.gain.setValueAtTime(0, now);
-                gainNode.gain.linearRampToValueAtTime(volume, now + 0.3);
-                gainNode.gain.exponentialRampToValueAtTime(0.001, now + duration);
-                
-                oscillator.connect(filter);
-                filter.connect(gainNode);
-                gainNode.connect(this.musicGain);
-                
-                oscillator.start(now);
-                oscillator.stop(now + duration);
-            }, delay);
-        };
-        
-        // Horror theme melody using psychological intervals (tritones, minor seconds)
-        const theme = () => {
-            // Main motif - creating unease with dissonant intervals
-            playThemeNote(220, 0, 4, 0.06);      // A3
-            playThemeNote(233.08, 2000, 4, 0.06); // Bb3 (minor second - very unsettling)
-            playThemeNote(311.13, 4000, 6, 0.08); // Eb4 (tritone - "devil's interval")
-            playThemeNote(293.66, 8000, 8, 0.05); // D4 (resolve down for unsettling effect)
-            
-            // Echo the theme at different octaves for layering
-            setTimeout(() => {
-                playThemeNote(110, 0, 4, 0.04);      // A2 (octave lower)
-                playThemeNote(116.54, 2000, 4, 0.04); // Bb2
-                playThemeNote(155.56, 4000, 6, 0.05); // Eb3
-                playThemeNote(146.83, 8000, 8, 0.03); // D3
-            }, 1000);
-            
-            // Schedule next iteration with irregular timing
-            setTimeout(theme, 25000 + Math.random() * 15000); // 25-40 seconds
-        };
+    applySettings() {
+        Object.keys(DEFAULT_SETTINGS).forEach(key => this.applySetting(key));
+    }
+    
+    applySetting(key) {
+        // Sensitivity, invert-Y and the gamepad tuning are read straight from the store as input arrives
+        const value = this.settings.get(key);
+        switch (key) {
+            case 'fov':
+                this.camera.fov = value;
+                this.camera.updateProjectionMatrix();
+                break;
+            case 'masterVolume':
+                if (this.masterGain) this.masterGain.gain.value = value / 100;
+                break;
+            case 'musicVolume':
+                if (this.musicGain) this.musicGain.gain.value = value / 100;
+                break;
+            case 'sfxVolume':
+                if (this.sfxGain) this.sfxGain.gain.value = value / 100;
+                break;
+            case 'shadowQuality':
+                this.applyShadowQuality(value);
+                break;
+            case 'resolutionScale':
+                this.renderer.setPixelRatio(value);
+                this.renderer.setSize(window.innerWidth, window.innerHeight);
+                break;
+            case 'vegetationDensity':
+                this.vegetation.forEach(batch => batch.setDensity(value));
+                break;
+            case 'bindings':
+                this.renderBindings();
+                break;
+        }
         
-        // Start theme after 10 seconds
-        setTimeout(theme, 10000);
+        // Keep the panel in sync when a value changes from code (startup, reset)
+        const input = document.querySelector(`[data-setting="${key}"]`);
+        if (input) {
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        }
+        const readout = document.querySelector(`[data-setting-value="${key}"]`);
+        if (readout) {
+            readout.textContent = this.formatSettingValue(key, value);
+        }
     }
     
-    createDeepUnsettlingDrones() {
-        // Create multiple layers of deep, unsettling drones
-        this.createDarkDrone(41.2, 0.05, 'sawtooth');  // E1 - very deep bass
-        this.createDarkDrone(55, 0.04, 'square');      // A1 - root note
-        this.createDarkDrone(73.42, 0.03, 'triangle'); // D2 - fourth above
-        this.createDarkDrone(98, 0.025, 'sine');       // G2 - minor seventh (dissonant)
+    formatSettingValue(key, value) {
+        if (key === 'mouseSensitivity' || key === 'gamepadSensitivity') return `${value.toFixed(1)}x`;
+        if (key === 'fov') return `${value}°`;
+        if (key === 'resolutionScale' || key === 'vegetationDensity' || key === 'gamepadDeadzone') return `${Math.round(value * 100)}%`;
+        return `${value}`;
     }
     
-    createDiscordantOrchestralElements() {
-        // Create string-like sustained dissonant chords
-        const createStringSection = (baseFreq, volume, detune) => {
-            for (let i = 0; i < 4; i++) {
-                const oscillator = this.audioContext.createOscillator();
-                const gainNode = this.audioContext.createGain();
-                const filter = this.audioContext.createBiquadFilter();
-                
-                oscillator.type = 'sawtooth'; // More string-like
-                oscillator.frequency.setValueAtTime(baseFreq * (1 + i * 0.25), this.audioContext.currentTime); // Perfect fourth intervals
-                oscillator.detune.setValueAtTime(detune + (i * 3), this.audioContext.currentTime); // Slight detuning
-                
-                filter.type = 'bandpass';
-                filter.frequency.setValueAtTime(baseFreq * 2, this.audioContext.currentTime);
-                filter.Q.setValueAtTime(1.5, this.audioContext.currentTime);
-                
-                gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-                gainNode.gain.linearRampToValueAtTime(volume / 4, this.audioContext.currentTime + 8);
-                
-                oscillator.connect(filter);
-                filter.connect(gainNode);
-                gainNode.connect(this.musicGain);
-                
-                oscillator.start();
-                
-                // Add slow tremolo for horror effect
-                const lfo = this.audioContext.createOscillator();
-                const lfoGain = this.audioContext.createGain();
-                
-                lfo.type = 'sine';
-                lfo.frequency.setValueAtTime(0.3 + Math.random() * 0.4, this.audioContext.currentTime);
-                lfoGain.gain.setValueAtTime(volume / 8, this.audioContext.currentTime);
-                
-                lfo.connect(lfoGain);
-                lfoGain.connect(gainNode.gain);
-                lfo.start();
+    applyShadowQuality(quality) {
+        const mapSize = SHADOW_QUALITY[quality];
+        const wasEnabled = this.renderer.shadowMap.enabled;
+        this.renderer.shadowMap.enabled = mapSize > 0;
+        
+        [this.moonLight, this.playerLight].forEach(light => {
+            light.castShadow = mapSize > 0;
+            if (mapSize > 0 && light.shadow.mapSize.width !== mapSize) {
+                light.shadow.mapSize.set(mapSize, mapSize);
+                // Drop the old render target so the renderer allocates one at the new size
+                if (light.shadow.map) {
+                    light.shadow.map.dispose();
+                    light.shadow.map = null;
+                }
             }
-        };
+        });
         
-        // Create dissonant string sections
-        createStringSection(220, 0.03, -5);  // A3 minor chord
-        createStringSection(293.66, 0.025, 5); // D4 chord (tritone relation)
+        // Switching shadows on or off changes the shader variants, so materials need recompiling
+        if (wasEnabled !== this.renderer.shadowMap.enabled) {
+            this.scene.traverse(object => {
+                if (object.material) {
+                    [].concat(object.material).forEach(material => {
+                        material.needsUpdate = true;
+                    });
+                }
+            });
+        }
     }
     
-    createReversePianoNotes() {
-        // Create reverse piano attack sounds for psychological horror
-        const playReversePiano = () => {
-            if (!this.audioContext) return;
+    nextVegetationRank(region) {
+        // Golden-ratio rank spreads thinning evenly without drawing from the world seed. The count is
+        // per region, so a chunk that streams back in gets the same ranks it had before
+        return (region.vegetationCount++ * 0.6180339887) % 1;
+    }
+    
+    addVegetationBatch(batch, region) {
+        region.group.add(batch.build());
+        batch.setDensity(this.settings.get('vegetationDensity'));
+        this.vegetation.push(batch);
+        region.vegetation.push(batch);
+    }
+    
+    handleInputPress(code, actions) {
+        // D-pad picks level-up choices so the overlay works without a mouse
+        const upgradeChoice = GAMEPAD.upgradeButtons.indexOf(code);
+        if (this.upgradeChoices && upgradeChoice !== -1) {
+            this.chooseUpgrade(upgradeChoice);
+            return;
+        }
+        
+        // Over the pause, level-up and game over screens only pause/back does anything
+        if (this.isPaused || !this.gameRunning) {
+            if (actions.includes('pause')) this.handleEscape();
+            return;
+        }
+        
+        actions.forEach(action => {
+            switch (action) {
+                case 'fire':
+                    // Semi-automatic weapons fire on press, automatic weapons keep firing in updateWeapons()
+                    this.shoot();
+                    break;
+                case 'reload':
+                    this.startReload();
+                    break;
+                case 'jump':
+                    this.jump();
+                    break;
+                case 'dash':
+                    this.startDash();
+                    break;
+                case 'nextWeapon':
+                    this.cycleWeapon(1);
+                    break;
+                case 'previousWeapon':
+                    this.cycleWeapon(-1);
+                    break;
+                case 'pause':
+                    this.handleEscape();
+                    break;
+            }
+        });
+    }
+    
+    updateGamepad(frameTime) {
+        const look = this.input.pollGamepad(frameTime, {
+            deadzone: this.settings.get('gamepadDeadzone'),
+            sensitivity: this.settings.get('gamepadSensitivity'),
+            aimAcceleration: this.settings.get('aimAcceleration')
+        });
+        if (this.isPaused || !this.gameRunning) return;
+        
+        this.mouse.x += look.x;
+        this.mouse.y += look.y * (this.settings.get('invertY') ? -1 : 1);
+        this.mouse.y = Math.max(-Math.PI/2, Math.min(Math.PI/2, this.mouse.y));
+    }
+    
+    describeBinding(action, includeGamepad = true) {
+        const codes = this.settings.get('bindings')[action].filter(code => includeGamepad || !isGamepadCode(code));
+        return codes.length ? codes.map(formatInputCode).join(' / ') : 'Unbound';
+    }
+    
+    renderBindings() {
+        // Settings panel - one button per action; click it, then press a key or click it with the new mouse button
+        const bindingList = document.getElementById('inputBindings');
+        if (bindingList) {
+            bindingList.innerHTML = '';
+            Object.keys(BINDING_LABELS).forEach(action => {
+                const row = document.createElement('div');
+                row.className = 'bindingRow';
+                const label = document.createElement('span');
+                label.textContent = BINDING_LABELS[action];
+                const button = document.createElement('button');
+                button.className = 'bindingBtn';
+                button.textContent = this.capturingBinding === action ? 'Press a key or button...' : this.describeBinding(action, false);
+                button.addEventListener('mousedown', (event) => {
+                    if (this.capturingBinding === action) {
+                        this.captureBinding(`Mouse${event.button}`);
+                    } else if (event.button === 0) {
+                        this.capturingBinding = action;
+                        this.renderBindings();
+                    }
+                });
+                button.addEventListener('wheel', (event) => {
+                    if (this.capturingBinding !== action) return;
+                    event.preventDefault();
+                    this.captureBinding(event.deltaY > 0 ? 'WheelDown' : 'WheelUp');
+                });
+                button.addEventListener('contextmenu', (event) => event.preventDefault());
+                row.appendChild(label);
+                row.appendChild(button);
+                bindingList.appendChild(row);
+            });
+        }
+        
+        // Controls panel and the on-screen hint list the current bindings
+        const controlsList = document.getElementById('controlsList');
+        if (controlsList) {
+            const moveKeys = ['moveForward', 'moveLeft', 'moveBackward', 'moveRight'].map(action => this.describeBinding(action)).join(' ');
+            const rows = [
+                [`${moveKeys} / Left stick`, 'Move'],
+                ['Mouse / Right stick', 'Look'],
+                ['1-4', 'Switch weapon'],
+                ...Object.keys(BINDING_LABELS).filter(action => !action.startsWith('move')).map(action => [this.describeBinding(action), BINDING_LABELS[action]]),
+                ['F3', 'Debug overlay']
+            ];
+            controlsList.innerHTML = '';
+            rows.forEach(([keys, description]) => {
+                const row = document.createElement('div');
+                const keyLabel = document.createElement('span');
+                keyLabel.textContent = keys;
+                row.appendChild(keyLabel);
+                row.appendChild(document.createTextNode(description));
+                controlsList.appendChild(row);
+            });
+        }
+        
+        // The hint is keyboard and mouse only to keep it to one line
+        const instructions = document.getElementById('instructions');
+        if (instructions) {
+            const moveKeys = ['moveForward', 'moveLeft', 'moveBackward', 'moveRight'].map(action => this.describeBinding(action, false)).join(' ');
+            const hints = [
+                [moveKeys, 'move'],
+                ['Mouse', 'look'],
+                ...['fire', 'reload', 'jump', 'sprint', 'crouch', 'dash', 'pause'].map(action => [this.describeBinding(action, false), BINDING_LABELS[action].toLowerCase()])
+            ];
+            instructions.textContent = hints.map(([keys, description]) => `${keys} to ${description}`).join(' | ');
+        }
+    }
+    
+    captureBinding(code) {
+        const action = this.capturingBinding;
+        this.capturingBinding = null;
+        
+        // Escape cancels; any other input replaces the action's keyboard/mouse binding and is taken off every other action
+        if (code !== 'Escape') {
+            const bindings = this.settings.get('bindings');
+            Object.keys(bindings).forEach(other => {
+                bindings[other] = bindings[other].filter(bound => bound !== code);
+            });
+            this.settings.setBinding(action, [code, ...bindings[action].filter(isGamepadCode)]);
+        }
+        this.renderBindings();
+    }
+    
+    cancelBindingCapture() {
+        if (!this.capturingBinding) return;
+        this.capturingBinding = null;
+        this.renderBindings();
+    }
+    
+    cycleWeapon(step) {
+        const index = WEAPON_ORDER.indexOf(this.currentWeapon);
+        this.switchWeapon(WEAPON_ORDER[(index + step + WEAPON_ORDER.length) % WEAPON_ORDER.length]);
+    }
+    
+    createEnvironment() {
+        if (this.worldMode === 'endless') {
+            // Terrain and props come in chunks streamed around the player
+            this.terrainStreamer.update(this.player.position, Infinity);
+        } else {
+            // The arena is one big region built by the same prop builders as the chunks
+            const region = this.createRegion(this.environmentGroup, this.worldRandom, 0, 0, PROP_SPREAD);
+            
+            // Create diverse terrain with multiple biomes
+            this.createDiverseTerrain();
+            
+            // Add lots of vegetation for Ghibli atmosphere
+            this.createTrees(region);
+            this.createFlowers(region);
+            this.createGrassPatches(region);
+            this.createBushes(region);
+            this.createRocks(region);
+        }
+        
+        // Enhanced sky with gradient and clouds
+        this.createSkyAndClouds();
+        
+        // Create visible air walls
+        if (this.worldMode !== 'endless') {
+            this.createAirWalls();
+        }
+        
+        // Position player properly on terrain
+        this.positionPlayerOnTerrain();
+    }
+    
+    createRegion(group, random, x, z, size) {
+        // Area that prop builders scatter into - density scales prop counts from the arena's
+        return {
+            group, random, x, z, size,
+            density: (size * size) / (PROP_SPREAD * PROP_SPREAD),
+            colliders: [], // Registered static colliders, so a chunk can take them away again
+            blockers: [],
+            vegetation: [],
+            vegetationCount: 0 // Plants ranked so far, see nextVegetationRank()
+        };
+    }
+    
+    createDiverseTerrain() {
+        const terrainSize = 100; // Restored to previous size
+        const terrainResolution = 32; // Restored resolution
+        this.terrain = this.createTerrainMesh(0, 0, terrainSize, terrainResolution);
+        this.environmentGroup.add(this.terrain);
+        this.bulletBlockers.push(this.terrain);
+    }
+    
+    createTerrainMesh(centerX, centerZ, size, resolution) {
+        const terrainGeometry = new THREE.PlaneGeometry(size, size, resolution, resolution);
+        
+        const vertices = terrainGeometry.attributes.position.array;
+        
+        // Displace along the plane's local Z, which becomes world Y once the plane is laid flat.
+        // Local Y maps to world -Z, so sample the same height function gameplay uses.
+        for (let i = 0; i < vertices.length; i += 3) {
+            const x = centerX + vertices[i];
+            const z = centerZ - vertices[i + 1];
             
-            const frequencies = [523.25, 622.25, 698.46, 783.99, 880]; // C5, Eb5, F5, G5, A5
-            const selectedFreq = frequencies[Math.floor(Math.random() * frequencies.length)];
+            vertices[i + 2] = this.getTerrainHeight(x, z);
+        }
+        
+        terrainGeometry.attributes.position.needsUpdate = true;
+        terrainGeometry.computeVertexNormals();
+        
+        // Black terrain material for night environment
+        const terrainMaterial = this.resources.material('terrain', () => new THREE.MeshLambertMaterial({ 
+            color: 0x000000, // Black ground
+            wireframe: false
+        }));
+        
+        const terrain = new THREE.Mesh(terrainGeometry, terrainMaterial);
+        terrain.rotation.x = -Math.PI / 2;
+        terrain.position.set(centerX, 0, centerZ);
+        terrain.receiveShadow = true;
+        terrain.updateMatrixWorld();
+        return terrain;
+    }
+    
+    createChunk(chunkX, chunkZ) {
+        // Each chunk has its own seeded stream so it rebuilds identically whenever it streams back in
+        const { chunkSize, resolution } = ENDLESS_TERRAIN;
+        const random = createSeededRandom(this.seed ^ Math.imul(chunkX, 0x9E3779B1) ^ Math.imul(chunkZ, 0x85EBCA77));
+        const region = this.createRegion(new THREE.Group(), random, (chunkX + 0.5) * chunkSize, (chunkZ + 0.5) * chunkSize, chunkSize);
+        region.chunkX = chunkX;
+        region.chunkZ = chunkZ;
+        
+        const terrain = this.createTerrainMesh(region.x, region.z, chunkSize, resolution);
+        region.group.add(terrain);
+        region.blockers.push(terrain);
+        this.bulletBlockers.push(terrain);
+        
+        this.createTrees(region);
+        this.createFlowers(region);
+        this.createGrassPatches(region);
+        this.createBushes(region);
+        this.createRocks(region);
+        
+        this.environmentGroup.add(region.group);
+        return region;
+    }
+    
+    releaseChunk(chunk) {
+        const colliders = new Set(chunk.colliders);
+        const blockers = new Set(chunk.blockers);
+        const vegetation = new Set(chunk.vegetation);
+        
+        chunk.colliders.forEach(collider => this.colliderHash.remove(collider));
+        this.staticColliders = this.staticColliders.filter(collider => !colliders.has(collider));
+        this.bulletBlockers = this.bulletBlockers.filter(mesh => !blockers.has(mesh));
+        this.vegetation = this.vegetation.filter(batch => !vegetation.has(batch));
+        this.resources.release(chunk.group);
+    }
+    
+    updateEndlessWorld() {
+        this.terrainStreamer.update(this.player.position);
+        this.centerSkyOn(this.player.position);
+    }
+    
+    centerSkyOn(position) {
+        // The arena sky sits at the origin; in an endless world the sky, stars and moon shadows travel with the player
+        const x = this.worldMode === 'endless' ? position.x : 0;
+        const z = this.worldMode === 'endless' ? position.z : 0;
+        
+        this.sky.position.set(x, 0, z);
+        this.starGroup.position.set(x, 0, z);
+        this.moonLight.position.set(x, 100, z);
+        this.moonLight.target.position.set(x, 0, z);
+        this.moonLight.target.updateMatrixWorld();
+    }
+    
+    createSkyAndClouds() {
+        // Create night sky
+        const skyGeometry = new THREE.SphereGeometry(500, 32, 32);
+        const skyMaterial = new THREE.ShaderMaterial({
+            side: THREE.BackSide,
+            uniforms: {
+                topColor: { value: new THREE.Color(0x000033) }, // Very dark blue
+                bottomColor: { value: new THREE.Color(0x000011) }, // Almost black
+                offset: { value: 33 },
+                exponent: { value: 0.6 }
+            },
+            vertexShader: `
+                varying vec3 vWorldPosition;
+                void main() {
+                    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+                    vWorldPosition = worldPosition.xyz;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 topColor;
+                uniform vec3 bottomColor;
+                uniform float offset;
+                uniform float exponent;
+                varying vec3 vWorldPosition;
+                void main() {
+                    float h = normalize(vWorldPosition + offset).y;
+                    gl_FragColor = vec4(mix(bottomColor, topColor, max(pow(max(h, 0.0), exponent), 0.0)), 1.0);
+                }
+            `
+        });
+        
+        this.sky = new THREE.Mesh(skyGeometry, skyMaterial);
+        this.environmentGroup.add(this.sky);
+        
+        // Add stars instead of clouds for night atmosphere
+        this.createStars();
+    }
+    
+    createStars() {
+        const starGroup = new THREE.Group();
+        const stars = new THREE.InstancedMesh(
+            new THREE.SphereGeometry(0.5, 4, 4),
+            new THREE.MeshBasicMaterial({ color: 0xffffff }),
+            100
+        );
+        
+        // Create many small stars scattered in the night sky
+        const random = this.worldRandom;
+        const star = new THREE.Object3D();
+        const color = new THREE.Color();
+        for (let i = 0; i < stars.count; i++) {
+            color.setScalar(0.8 + random() * 0.2);
             
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            const filter = this.audioContext.createBiquadFilter();
+            // Position stars randomly in a sphere around the world
+            const radius = 400 + random() * 100;
+            const theta = random() * Math.PI * 2;
+            const phi = Math.acos(random() * 0.5 + 0.5); // Bias towards upper hemisphere
             
-            oscillator.type = 'sine';
-            oscillator.frequency.setValueAtTime(selectedFreq, this.audioContext.currentTime);
+            star.position.set(
+                radius * Math.sin(phi) * Math.cos(theta),
+                radius * Math.cos(phi),
+                radius * Math.sin(phi) * Math.sin(theta)
+            );
+            star.updateMatrix();
             
-            filter.type = 'lowpass';
-            filter.frequency.setValueAtTime(selectedFreq * 2, this.audioContext.currentTime);
+            stars.setMatrixAt(i, star.matrix);
+            stars.setColorAt(i, color);
+        }
+        stars.frustumCulled = false;
+        
+        starGroup.add(stars);
+        this.environmentGroup.add(starGroup);
+        this.starGroup = starGroup;
+        this.stars = stars;
+        this.starColor = new THREE.Color();
+    }
+    
+    createAirWalls() {
+        // Create visible air walls at the boundaries
+        const wallHeight = 8;
+        const wallThickness = 0.2;
+        const wallMaterial = new THREE.MeshLambertMaterial({ 
+            color: 0x404080,
+            transparent: true,
+            opacity: 0.3
+        });
+        
+        // North wall (positive Z)
+        const northWall = new THREE.BoxGeometry(100, wallHeight, wallThickness);
+        const northWallMesh = new THREE.Mesh(northWall, wallMaterial);
+        northWallMesh.position.set(0, wallHeight/2, this.worldBounds.maxZ);
+        this.environmentGroup.add(northWallMesh);
+        
+        // South wall (negative Z)  
+        const southWall = new THREE.BoxGeometry(100, wallHeight, wallThickness);
+        const southWallMesh = new THREE.Mesh(southWall, wallMaterial);
+        southWallMesh.position.set(0, wallHeight/2, this.worldBounds.minZ);
+        this.environmentGroup.add(southWallMesh);
+        
+        // East wall (positive X)
+        const eastWall = new THREE.BoxGeometry(wallThickness, wallHeight, 100);
+        const eastWallMesh = new THREE.Mesh(eastWall, wallMaterial);
+        eastWallMesh.position.set(this.worldBounds.maxX, wallHeight/2, 0);
+        this.environmentGroup.add(eastWallMesh);
+        
+        // West wall (negative X)
+        const westWall = new THREE.BoxGeometry(wallThickness, wallHeight, 100);
+        const westWallMesh = new THREE.Mesh(westWall, wallMaterial);
+        westWallMesh.position.set(this.worldBounds.minX, wallHeight/2, 0);
+        this.environmentGroup.add(westWallMesh);
+    }
+    
+    positionPlayerOnTerrain() {
+        // Position player properly on the terrain surface, clear of any prop at the spawn point
+        this.resolveStaticCollisions(this.player.position, this.player.radius);
+        const terrainHeight = this.getTerrainHeight(this.player.position.x, this.player.position.z);
+        this.player.position.y = terrainHeight + this.player.eyeHeight; // Player height above ground
+        this.player.previousPosition.copy(this.player.position);
+        this.camera.position.copy(this.player.position);
+    }
+    
+    createParticleSystems() {
+        this.createFireflies();
+        this.createFloatingDust();
+    }
+    
+    createFireflies() {
+        // Add magical fireflies floating around the dark environment
+        const random = this.worldRandom;
+        for (let i = 0; i < 50; i++) { // Restored count
+            const fireflyGeometry = new THREE.SphereGeometry(0.1, 6, 6);
+            const fireflyMaterial = new THREE.MeshBasicMaterial({ 
+                color: 0xFFFF88,
+                transparent: true,
+                opacity: 0.8
+            });
             
-            const now = this.audioContext.currentTime;
-            // Reverse envelope - starts quiet and builds up, then cuts off abruptly
-            gainNode.gain.setValueAtTime(0.001, now);
-            gainNode.gain.exponentialRampToValueAtTime(0.04, now + 2);
-            gainNode.gain.linearRampToValueAtTime(0, now + 2.1);
+            const firefly = new THREE.Mesh(fireflyGeometry, fireflyMaterial);
             
-            oscillator.connect(filter);
-            filter.connect(gainNode);
-            gainNode.connect(this.musicGain);
+            // Random position around the world - restored range
+            firefly.position.set(
+                (random() - 0.5) * 80, // Restored from 20 to 80
+                1 + random() * 5,
+                (random() - 0.5) * 80  // Restored from 20 to 80
+            );
             
-            oscillator.start(now);
-            oscillator.stop(now + 2.1);
+            // Add movement properties
+            firefly.velocity = new THREE.Vector3(
+                (random() - 0.5) * 2,
+                (random() - 0.5) * 1,
+                (random() - 0.5) * 2
+            );
+            firefly.startPosition = firefly.position.clone();
+            firefly.time = random() * Math.PI * 2;
             
-            // Schedule next reverse piano note
-            setTimeout(playReversePiano, 15000 + Math.random() * 25000); // 15-40 seconds
-        };
+            this.fireflies.push(firefly);
+            this.environmentGroup.add(firefly);
+        }
+    }
+    
+    createFloatingDust() {
+        // Add atmospheric dust particles that float in the air
+        const random = this.worldRandom;
+        for (let i = 0; i < 200; i++) { // Restored from 50 to 200
+            const dustGeometry = new THREE.SphereGeometry(0.02, 4, 4);
+            const dustMaterial = new THREE.MeshBasicMaterial({
+                color: 0x666666,
+                transparent: true,
+                opacity: 0.3
+            });
+            
+            const dust = new THREE.Mesh(dustGeometry, dustMaterial);
+            
+            dust.position.set(
+                (random() - 0.5) * 100, // Restored from 25 to 100
+                random() * 8,
+                (random() - 0.5) * 100  // Restored from 25 to 100
+            );
+            
+            dust.velocity = new THREE.Vector3(
+                (random() - 0.5) * 0.5,
+                (random() - 0.5) * 0.2,
+                (random() - 0.5) * 0.5
+            );
+            
+            this.dustParticles.push(dust);
+            this.environmentGroup.add(dust);
+        }
+    }
+    
+    createMuzzleFlash(position) {
+        // Create muzzle flash particle effect when shooting
+        this.particleEngine.emit('muzzleFlash', position);
+        this.particleEngine.emit('muzzleSparks', position);
+    }
+    
+    createHitEffect(position) {
+        // Create particle effect when bullet hits enemy
+        this.particleEngine.emit('hit', position);
+    }
+    
+    createImpactEffect(position) {
+        // Create small dust burst when a bullet hits terrain or a tree
+        this.particleEngine.emit('impact', position);
+    }
+    
+    createDeathExplosion(position) {
+        // Create explosion effect when enemy dies
+        this.particleEngine.emit('deathExplosion', position);
+    }
+    
+    createFootstepDust(position) {
+        // Create small dust puffs at the player's feet when moving
+        if (Math.random() < 0.3) { // Only sometimes to avoid too many particles
+            this.particleEngine.emit('footstepDust', position);
+        }
+    }
+    
+    updateParticles(deltaTime) {
+        // Fireflies and dust wrap around the arena, or around the player in an endless world
+        const centerX = this.worldMode === 'endless' ? this.player.position.x : 0;
+        const centerZ = this.worldMode === 'endless' ? this.player.position.z : 0;
+        
+        // Update fireflies with smooth floating movement
+        this.fireflies.forEach((firefly, index) => {
+            firefly.time += deltaTime;
+            
+            // Smooth floating movement
+            firefly.position.add(firefly.velocity.clone().multiplyScalar(deltaTime));
+            firefly.position.y = firefly.startPosition.y + Math.sin(firefly.time) * 2;
+            
+            // Gentle pulsing glow
+            firefly.material.opacity = 0.6 + 0.4 * Math.sin(firefly.time * 3);
+            
+            // Boundary checking - wrap around (restored boundaries)
+            if (firefly.position.x > centerX + 50) firefly.position.x = centerX - 50; // Restored from 12.5 to 50
+            if (firefly.position.x < centerX - 50) firefly.position.x = centerX + 50;
+            if (firefly.position.z > centerZ + 50) firefly.position.z = centerZ - 50;
+            if (firefly.position.z < centerZ - 50) firefly.position.z = centerZ + 50;
+        });
+        
+        // Update floating dust
+        this.dustParticles.forEach((dust, index) => {
+            dust.position.add(dust.velocity.clone().multiplyScalar(deltaTime));
+            
+            // Boundary checking for dust (restored boundaries)
+            if (dust.position.y > 10) dust.position.y = 0;
+            if (dust.position.x > centerX + 60) dust.position.x = centerX - 60; // Restored from 15 to 60
+            if (dust.position.x < centerX - 60) dust.position.x = centerX + 60;
+            if (dust.position.z > centerZ + 60) dust.position.z = centerZ - 60;
+            if (dust.position.z < centerZ - 60) dust.position.z = centerZ + 60;
+        });
+        
+        // Update effect particles (hit effects, explosions, muzzle flashes, footstep dust)
+        this.particleEngine.update(deltaTime, this.camera, this.renderer);
+        
+        // Update tracers and lightning bolts
+        for (let i = this.muzzleFlashes.length - 1; i >= 0; i--) {
+            const flash = this.muzzleFlashes[i];
+            flash.life -= deltaTime;
+            
+            // Fade out flash
+            flash.children.forEach(child => {
+                if (child.velocity) {
+                    child.position.add(child.velocity.clone().multiplyScalar(deltaTime));
+                    child.velocity.multiplyScalar(0.95); // Slow down sparks
+                }
+                child.material.opacity = flash.life / flash.maxLife;
+            });
+            
+            // Remove expired flashes
+            if (flash.life <= 0) {
+                this.resources.release(flash);
+                this.muzzleFlashes.splice(i, 1);
+            }
+        }
+    }
+    
+    setupAudio() {
+        try {
+            // Initialize Web Audio API
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            
+            // Create master gain nodes
+            this.masterGain = this.audioContext.createGain();
+            this.musicGain = this.audioContext.createGain();
+            this.sfxGain = this.audioContext.createGain();
+            
+            // Connect gain nodes
+            this.musicGain.connect(this.masterGain);
+            this.sfxGain.connect(this.masterGain);
+            this.masterGain.connect(this.audioContext.destination);
+            
+            // Set initial volumes
+            this.masterGain.gain.value = this.settings.get('masterVolume') / 100;
+            this.musicGain.gain.value = this.settings.get('musicVolume') / 100;
+            this.sfxGain.gain.value = this.settings.get('sfxVolume') / 100;
+            
+            // Generate procedural sounds
+            this.generateSounds();
+            
+            console.log('Audio system initialized');
+        } catch (error) {
+            console.warn('Web Audio API not supported:', error);
+        }
+    }
+    
+    generateSounds() {
+        // Generate gunshot sound
+        this.sounds.gunshot = this.createGunshot();
+        
+        // Generate hit sound
+        this.sounds.hit = this.createHit();
+        
+        // Generate explosion sound
+        this.sounds.explosion = this.createExplosion();
+        
+        // Generate footstep sound
+        this.sounds.footstep = this.createFootstep();
+        
+        // Generate enemy death sound
+        this.sounds.enemyDeath = this.createEnemyDeath();
+        
+        // Generate pickup sound
+        this.sounds.pickup = this.createPickup();
+        
+        // Generate player hurt and low-health heartbeat sounds
+        this.sounds.hurt = this.createHurt();
+        this.sounds.heartbeat = this.createHeartbeat();
+        
+        // Start background music
+        this.startBackgroundMusic();
+    }
+    
+    createGunshot() {
+        const length = 0.5;
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < buffer.length; i++) {
+            const t = i / sampleRate;
+            let sample = 0;
+            
+            // AK47-style gunshot characteristics
+            if (t < 0.001) {
+                // Instantaneous muzzle blast - very sharp attack
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 500) * 0.95 +
+                        Math.sin(t * 3000 * Math.PI) * Math.exp(-t * 400) * 0.7;
+            } else if (t < 0.005) {
+                // Initial explosion with characteristic AK crack
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 200) * 0.8 +
+                        Math.sin(t * 1500 * Math.PI) * Math.exp(-t * 180) * 0.6 +
+                        Math.sin(t * 800 * Math.PI) * Math.exp(-t * 150) * 0.4;
+            } else if (t < 0.02) {
+                // Gas expansion and mechanical action
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 80) * 0.6 +
+                        Math.sin(t * 600 * Math.PI) * Math.exp(-t * 60) * 0.4 +
+                        Math.sin(t * 300 * Math.PI) * Math.exp(-t * 40) * 0.3;
+            } else if (t < 0.08) {
+                // Echo and acoustic reflection
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 25) * 0.3 +
+                        Math.sin(t * 200 * Math.PI) * Math.exp(-t * 20) * 0.2 +
+                        Math.sin(t * 100 * Math.PI) * Math.exp(-t * 15) * 0.15;
+            } else {
+                // Long tail with environmental reverb
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 8) * 0.12 +
+                        Math.sin(t * 60 * Math.PI) * Math.exp(-t * 6) * 0.08 +
+                        Math.sin(t * 30 * Math.PI) * Math.exp(-t * 4) * 0.05;
+            }
+            
+            data[i] = sample;
+        }
+        
+        return buffer;
+    }
+    
+    createHit() {
+        const length = 0.3;
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < buffer.length; i++) {
+            const t = i / sampleRate;
+            let sample = 0;
+            
+            // Wet impact sound with splatter
+            if (t < 0.01) {
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 120) * 0.6 +
+                        Math.sin(t * 600 * Math.PI) * Math.exp(-t * 100) * 0.4;
+            } else if (t < 0.05) {
+                // Flesh impact with liquid sound
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 40) * 0.4 +
+                        Math.sin(t * 300 * Math.PI) * Math.exp(-t * 25) * 0.3 +
+                        Math.sin(t * 150 * Math.PI) * Math.exp(-t * 20) * 0.2;
+            } else {
+                // Dripping/settling sound
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 12) * 0.2 +
+                        Math.sin(t * 80 * Math.PI) * Math.exp(-t * 8) * 0.15;
+            }
+            
+            data[i] = sample;
+        }
+        
+        return buffer;
+    }
+    
+    createExplosion() {
+        const length = 1.0;
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < buffer.length; i++) {
+            const t = i / sampleRate;
+            let sample = 0;
+            
+            // Initial boom
+            if (t < 0.1) {
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 10) * 0.8;
+            } else {
+                // Rumbling decay
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 2) * 0.3 +
+                        Math.sin(t * 60 * Math.PI) * Math.exp(-t * 3) * 0.2;
+            }
+            
+            data[i] = sample;
+        }
+        
+        return buffer;
+    }
+    
+    createFootstep() {
+        const length = 0.25;
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < buffer.length; i++) {
+            const t = i / sampleRate;
+            let sample = 0;
+            
+            // Initial impact - sharp thud
+            if (t < 0.02) {
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 80) * 0.4 +
+                        Math.sin(t * 80 * Math.PI) * Math.exp(-t * 60) * 0.3;
+            } else if (t < 0.08) {
+                // Dirt/gravel shifting sound
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 15) * 0.25 +
+                        Math.sin(t * 40 * Math.PI) * Math.exp(-t * 20) * 0.15;
+            } else {
+                // Subtle echo and settling
+                sample = (Math.random() * 2 - 1) * Math.exp(-t * 8) * 0.1 +
+                        Math.sin(t * 20 * Math.PI) * Math.exp(-t * 10) * 0.08;
+            }
+            
+            data[i] = sample;
+        }
+        
+        return buffer;
+    }
+    
+    createEnemyDeath() {
+        const length = 0.8;
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < buffer.length; i++) {
+            const t = i / sampleRate;
+            // Descending mechanical sound
+            const freq = 400 * Math.exp(-t * 2);
+            const sample = Math.sin(t * freq * Math.PI) * Math.exp(-t * 3) * 0.4 +
+                          (Math.random() * 2 - 1) * Math.exp(-t * 8) * 0.2;
+            data[i] = sample;
+        }
+        
+        return buffer;
+    }
+    
+    createPickup() {
+        const length = 0.3;
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < buffer.length; i++) {
+            const t = i / sampleRate;
+            // Ascending chime
+            const freq = 440 + t * 880;
+            const sample = Math.sin(t * freq * Math.PI) * Math.exp(-t * 5) * 0.3;
+            data[i] = sample;
+        }
+        
+        return buffer;
+    }
+    
+    createHurt() {
+        const length = 0.35;
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < buffer.length; i++) {
+            const t = i / sampleRate;
+            // Dull body blow - falling low tone under a short burst of noise
+            const freq = 180 - t * 300;
+            const thud = Math.sin(t * freq * 2 * Math.PI) * Math.exp(-t * 10) * 0.6;
+            const grit = (Math.random() * 2 - 1) * Math.exp(-t * 30) * 0.3;
+            data[i] = thud + grit;
+        }
+        
+        return buffer;
+    }
+    
+    createHeartbeat() {
+        const length = 0.6;
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, length * sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < buffer.length; i++) {
+            const t = i / sampleRate;
+            // "Lub-dub" - two low thumps, the second slightly softer
+            const lub = Math.sin(t * 55 * 2 * Math.PI) * Math.exp(-t * 25) * 0.8;
+            const dubTime = t - 0.22;
+            const dub = dubTime > 0 ? Math.sin(dubTime * 65 * 2 * Math.PI) * Math.exp(-dubTime * 30) * 0.6 : 0;
+            data[i] = lub + dub;
+        }
+        
+        return buffer;
+    }
+    
+    startBackgroundMusic() {
+        if (!this.audioContext) return;
+        
+        // Create ambient background music using oscillators
+        this.createAmbientMusic();
+    }
+    
+    createAmbientMusic() {
+        // Create horror movie-style tension music with original composition
+        this.createPsychologicalTensionTheme();
+        this.createDeepUnsettlingDrones();
+        this.createDiscordantOrchestralElements();
+        
+        // Add unsettling ambient layers
+        this.createOminousWind();
+        
+        // Add psychological horror elements
+        this.createReversePianoNotes();
+        this.createBuildingTensionSweeps();
+        
+        // Schedule terrifying sound events
+        this.scheduleHorrorSounds();
+    }
+    
+    createAmbientLayer(frequency, volume, waveType) {
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        const filter = this.audioContext.createBiquadFilter();
+        
+        oscillator.type = waveType;
+        oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+        
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(frequency * 2, this.audioContext.currentTime);
+        
+        gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
+        gainNode.gain.linearRampToValueAtTime(volume, this.audioContext.currentTime + 3);
+        
+        oscillator.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.musicGain);
+        
+        oscillator.start();
+        
+        // Add subtle frequency modulation
+        const lfo = this.audioContext.createOscillator();
+        const lfoGain = this.audioContext.createGain();
+        
+        lfo.type = 'sine';
+        lfo.frequency.setValueAtTime(0.1 + Math.random() * 0.2, this.audioContext.currentTime);
+        lfoGain.gain.setValueAtTime(frequency * 0.02, this.audioContext.currentTime);
+        
+        lfo.connect(lfoGain);
+        lfoGain.connect(oscillator.frequency);
+        lfo.start();
+    }
+    
+    createDarkDrone(frequency, volume, waveType) {
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        const filter = this.audioContext.createBiquadFilter();
+        
+        oscillator.type = waveType;
+        oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+        
+        // Dark, filtered sound
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(frequency * 1.5, this.audioContext.currentTime);
+        filter.Q.setValueAtTime(2, this.audioContext.currentTime);
+        
+        gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
+        gainNode.gain.linearRampToValueAtTime(volume, this.audioContext.currentTime + 5);
+        
+        oscillator.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.musicGain);
+        
+        oscillator.start();
+        
+        // Add menacing frequency modulation
+        const lfo = this.audioContext.createOscillator();
+        const lfoGain = this.audioContext.createGain();
+        
+        lfo.type = 'triangle';
+        lfo.frequency.setValueAtTime(0.05 + Math.random() * 0.1, this.audioContext.currentTime);
+        lfoGain.gain.setValueAtTime(frequency * 0.03, this.audioContext.currentTime);
+        
+        lfo.connect(lfoGain);
+        lfoGain.connect(oscillator.frequency);
+        lfo.start();
+    }
+    
+    createWindSound() {
+        // Create wind using filtered noise
+        const bufferSize = this.audioContext.sampleRate * 10; // 10 seconds of wind
+        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < bufferSize; i++) {
+            data[i] = (Math.random() * 2 - 1) * 0.1;
+        }
+        
+        const windSource = this.audioContext.createBufferSource();
+        const filter = this.audioContext.createBiquadFilter();
+        const gainNode = this.audioContext.createGain();
+        
+        windSource.buffer = buffer;
+        windSource.loop = true;
+        
+        filter.type = 'bandpass';
+        filter.frequency.setValueAtTime(200, this.audioContext.currentTime);
+        filter.Q.setValueAtTime(0.5, this.audioContext.currentTime);
+        
+        gainNode.gain.setValueAtTime(0.03, this.audioContext.currentTime);
+        
+        windSource.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.musicGain);
+        
+        windSource.start();
+    }
+    
+    scheduleNightSounds() {
+        const playNightSound = () => {
+            if (Math.random() < 0.3) {
+                this.playOwlHoot();
+            } else if (Math.random() < 0.5) {
+                this.playCrickets();
+            }
+            
+            // Schedule next sound
+            this.audioScheduler.setTimeout(playNightSound, 15000 + Math.random() * 30000); // 15-45 seconds
+        };
+        
+        // Start after 10 seconds
+        this.audioScheduler.setTimeout(playNightSound, 10000);
+    }
+    
+    playOwlHoot() {
+        if (!this.audioContext) return;
+        
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        const filter = this.audioContext.createBiquadFilter();
+        
+        oscillator.type = 'sine';
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(800, this.audioContext.currentTime);
+        
+        const now = this.audioContext.currentTime;
+        
+        // Two-note hoot
+        oscillator.frequency.setValueAtTime(400, now);
+        oscillator.frequency.setValueAtTime(300, now + 0.3);
+        oscillator.frequency.setValueAtTime(300, now + 0.6);
+        oscillator.frequency.setValueAtTime(250, now + 0.9);
+        
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(0.1, now + 0.1);
+        gainNode.gain.linearRampToValueAtTime(0.05, now + 0.3);
+        gainNode.gain.linearRampToValueAtTime(0.08, now + 0.6);
+        gainNode.gain.linearRampToValueAtTime(0, now + 1.2);
+        
+        oscillator.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.musicGain);
+        
+        oscillator.start(now);
+        oscillator.stop(now + 1.2);
+    }
+    
+    playCrickets() {
+        if (!this.audioContext) return;
+        
+        for (let i = 0; i < 5; i++) {
+            this.audioScheduler.setTimeout(() => {
+                const oscillator = this.audioContext.createOscillator();
+                const gainNode = this.audioContext.createGain();
+                
+                oscillator.type = 'square';
+                oscillator.frequency.setValueAtTime(2000 + Math.random() * 1000, this.audioContext.currentTime);
+                
+                const now = this.audioContext.currentTime;
+                gainNode.gain.setValueAtTime(0, now);
+                gainNode.gain.linearRampToValueAtTime(0.02, now + 0.01);
+                gainNode.gain.linearRampToValueAtTime(0, now + 0.1);
+                
+                oscillator.connect(gainNode);
+                gainNode.connect(this.musicGain);
+                
+                oscillator.start(now);
+                oscillator.stop(now + 0.1);
+            }, i * 100 + Math.random() * 200);
+        }
+    }
+    
+    createDissonantLayer(frequency, volume, waveType) {
+        // Create slightly detuned oscillators for dissonance
+        for (let i = 0; i < 3; i++) {
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            const filter = this.audioContext.createBiquadFilter();
+            
+            // Slight detuning creates unsettling dissonance
+            const detune = (i - 1) * 7; // -7, 0, +7 cents
+            oscillator.type = waveType;
+            oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+            oscillator.detune.setValueAtTime(detune, this.audioContext.currentTime);
+            
+            filter.type = 'bandpass';
+            filter.frequency.setValueAtTime(frequency * 2, this.audioContext.currentTime);
+            filter.Q.setValueAtTime(0.8, this.audioContext.currentTime);
+            
+            gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
+            gainNode.gain.linearRampToValueAtTime(volume / 3, this.audioContext.currentTime + 4);
+            
+            oscillator.connect(filter);
+            filter.connect(gainNode);
+            gainNode.connect(this.musicGain);
+            
+            oscillator.start();
+        }
+    }
+    
+    createOminousWind() {
+        // Create unsettling wind using filtered noise with automation
+        const bufferSize = this.audioContext.sampleRate * 15; // 15 seconds of wind
+        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < bufferSize; i++) {
+            data[i] = (Math.random() * 2 - 1) * 0.15;
+        }
+        
+        const windSource = this.audioContext.createBufferSource();
+        const filter = this.audioContext.createBiquadFilter();
+        const gainNode = this.audioContext.createGain();
+        
+        windSource.buffer = buffer;
+        windSource.loop = true;
+        
+        filter.type = 'bandpass';
+        filter.frequency.setValueAtTime(180, this.audioContext.currentTime);
+        filter.Q.setValueAtTime(0.3, this.audioContext.currentTime);
+        
+        gainNode.gain.setValueAtTime(0.04, this.audioContext.currentTime);
+        
+        windSource.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.musicGain);
+        
+        windSource.start();
+        
+        // Add automation for tension building
+        this.audioScheduler.setInterval(() => {
+            if (this.audioContext) {
+                const now = this.audioContext.currentTime;
+                const intensity = 0.04 + Math.random() * 0.02;
+                gainNode.gain.linearRampToValueAtTime(intensity, now + 2);
+                
+                const filterFreq = 180 + Math.random() * 100;
+                filter.frequency.linearRampToValueAtTime(filterFreq, now + 3);
+            }
+        }, 8000);
+    }
+    
+    createTensionPulse() {
+        // Create subtle rhythmic pulses that build tension
+        const pulse = () => {
+            if (!this.audioContext) return;
+            
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            const filter = this.audioContext.createBiquadFilter();
+            
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(40 + Math.random() * 20, this.audioContext.currentTime);
+            
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(100, this.audioContext.currentTime);
+            
+            const now = this.audioContext.currentTime;
+            gainNode.gain.setValueAtTime(0, now);
+            gainNode.gain.linearRampToValueAtTime(0.02, now + 0.1);
+            gainNode.gain.linearRampToValueAtTime(0, now + 0.8);
+            
+            oscillator.connect(filter);
+            filter.connect(gainNode);
+            gainNode.connect(this.musicGain);
+            
+            oscillator.start(now);
+            oscillator.stop(now + 0.8);
+            
+            // Schedule next pulse with irregular timing for unease
+            this.audioScheduler.setTimeout(pulse, 3000 + Math.random() * 4000);
+        };
+        
+        // Start first pulse after 5 seconds
+        this.audioScheduler.setTimeout(pulse, 5000);
+    }
+    
+    scheduleHorrorSounds() {
+        const playHorrorSound = () => {
+            const rand = Math.random();
+            if (rand < 0.3) {
+                this.playDistantScream();
+            } else if (rand < 0.6) {
+                this.playMetallicClang();
+            } else if (rand < 0.8) {
+                this.playWhisper();
+            } else {
+                this.playCreepyChimes();
+            }
+            
+            // Schedule next horror sound with long, irregular intervals
+            this.audioScheduler.setTimeout(playHorrorSound, 20000 + Math.random() * 40000); // 20-60 seconds
+        };
+        
+        // Start after 15 seconds
+        this.audioScheduler.setTimeout(playHorrorSound, 15000);
+    }
+    
+    playDistantScream() {
+        if (!this.audioContext) return;
+        
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        const filter = this.audioContext.createBiquadFilter();
+        
+        oscillator.type = 'sawtooth';
+        filter.type = 'bandpass';
+        filter.frequency.setValueAtTime(800, this.audioContext.currentTime);
+        filter.Q.setValueAtTime(3, this.audioContext.currentTime);
+        
+        const now = this.audioContext.currentTime;
+        
+        // Distant scream frequency modulation
+        oscillator.frequency.setValueAtTime(400, now);
+        oscillator.frequency.linearRampToValueAtTime(800, now + 0.3);
+        oscillator.frequency.linearRampToValueAtTime(300, now + 1.2);
+        
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(0.08, now + 0.2);
+        gainNode.gain.linearRampToValueAtTime(0, now + 1.5);
+        
+        oscillator.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.musicGain);
+        
+        oscillator.start(now);
+        oscillator.stop(now + 1.5);
+    }
+    
+    playMetallicClang() {
+        if (!this.audioContext) return;
+        
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        const filter = this.audioContext.createBiquadFilter();
+        
+        oscillator.type = 'square';
+        oscillator.frequency.setValueAtTime(200 + Math.random() * 100, this.audioContext.currentTime);
+        
+        filter.type = 'highpass';
+        filter.frequency.setValueAtTime(150, this.audioContext.currentTime);
+        
+        const now = this.audioContext.currentTime;
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(0.06, now + 0.01);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, now + 2);
+        
+        oscillator.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.musicGain);
+        
+        oscillator.start(now);
+        oscillator.stop(now + 2);
+    }
+    
+    playWhisper() {
+        if (!this.audioContext) return;
+        
+        // Create whisper-like noise
+        const bufferSize = this.audioContext.sampleRate * 2;
+        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < bufferSize; i++) {
+            const t = i / this.audioContext.sampleRate;
+            data[i] = (Math.random() * 2 - 1) * Math.exp(-t * 0.5) * 0.3;
+        }
+        
+        const source = this.audioContext.createBufferSource();
+        const filter = this.audioContext.createBiquadFilter();
+        const gainNode = this.audioContext.createGain();
+        
+        source.buffer = buffer;
+        
+        filter.type = 'bandpass';
+        filter.frequency.setValueAtTime(2000, this.audioContext.currentTime);
+        filter.Q.setValueAtTime(2, this.audioContext.currentTime);
+        
+        gainNode.gain.setValueAtTime(0.03, this.audioContext.currentTime);
+        
+        source.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.musicGain);
+        
+        source.start();
+    }
+    
+    playCreepyChimes() {
+        if (!this.audioContext) return;
+        
+        const frequencies = [523.25, 587.33, 659.25, 698.46, 783.99]; // C5, D5, E5, F5, G5
+        
+        for (let i = 0; i < 3; i++) {
+            this.audioScheduler.setTimeout(() => {
+                const oscillator = this.audioContext.createOscillator();
+                const gainNode = this.audioContext.createGain();
+                
+                oscillator.type = 'sine';
+                oscillator.frequency.setValueAtTime(
+                    frequencies[Math.floor(Math.random() * frequencies.length)], 
+                    this.audioContext.currentTime
+                );
+                
+                const now = this.audioContext.currentTime;
+                gainNode.gain.setValueAtTime(0, now);
+                gainNode.gain.linearRampToValueAtTime(0.04, now + 0.1);
+                gainNode.gain.exponentialRampToValueAtTime(0.001, now + 3);
+                
+                oscillator.connect(gainNode);
+                gainNode.connect(this.musicGain);
+                
+                oscillator.start(now);
+                oscillator.stop(now + 3);
+            }, i * 800 + Math.random() * 400);
+        }
+    }
+    
+    createPsychologicalTensionTheme() {
+        // Create the main psychological horror theme using minor scales and tritones
+        const playThemeNote = (frequency, delay, duration, volume) => {
+            this.audioScheduler.setTimeout(() => {
+                if (!this.audioContext) return;
+                
+                const oscillator = this.audioContext.createOscillator();
+                const gainNode = this.audioContext.createGain();
+                const filter = this.audioContext.createBiquadFilter();
+                
+                oscillator.type = 'sine';
+                oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+                
+                // Dark filtering
+                filter.type = 'lowpass';
+                filter.frequency.setValueAtTime(frequency * 1.2, this.audioContext.currentTime);
+                filter.Q.setValueAtTime(3, this.audioContext.currentTime);
+                
+                const now = this.audioContext.currentTime;
+                gainNode.gain.setValueAtTime(0, now);
+                gainNode.gain.linearRampToValueAtTime(volume, now + 0.3);
+                gainNode.gain.exponentialRampToValueAtTime(0.001, now + duration);
+                
+                oscillator.connect(filter);
+                filter.connect(gainNode);
+                gainNode.connect(this.musicGain);
+                
+                oscillator.start(now);
+                oscillator.stop(now + duration);
+            }, delay);
+        };
+        
+        // Horror theme melody using psychological intervals (tritones, minor seconds)
+        const theme = () => {
+            // Main motif - creating unease with dissonant intervals
+            playThemeNote(220, 0, 4, 0.06);      // A3
+            playThemeNote(233.08, 2000, 4, 0.06); // Bb3 (minor second - very unsettling)
+            playThemeNote(311.13, 4000, 6, 0.08); // Eb4 (tritone - "devil's interval")
+            playThemeNote(293.66, 8000, 8, 0.05); // D4 (resolve down for unsettling effect)
+            
+            // Echo the theme at different octaves for layering
+            this.audioScheduler.setTimeout(() => {
+                playThemeNote(110, 0, 4, 0.04);      // A2 (octave lower)
+                playThemeNote(116.54, 2000, 4, 0.04); // Bb2
+                playThemeNote(155.56, 4000, 6, 0.05); // Eb3
+                playThemeNote(146.83, 8000, 8, 0.03); // D3
+            }, 1000);
+            
+            // Schedule next iteration with irregular timing
+            this.audioScheduler.setTimeout(theme, 25000 + Math.random() * 15000); // 25-40 seconds
+        };
+        
+        // Start theme after 10 seconds
+        this.audioScheduler.setTimeout(theme, 10000);
+    }
+    
+    createDeepUnsettlingDrones() {
+        // Create multiple layers of deep, unsettling drones
+        this.createDarkDrone(41.2, 0.05, 'sawtooth');  // E1 - very deep bass
+        this.createDarkDrone(55, 0.04, 'square');      // A1 - root note
+        this.createDarkDrone(73.42, 0.03, 'triangle'); // D2 - fourth above
+        this.createDarkDrone(98, 0.025, 'sine');       // G2 - minor seventh (dissonant)
+    }
+    
+    createDiscordantOrchestralElements() {
+        // Create string-like sustained dissonant chords
+        const createStringSection = (baseFreq, volume, detune) => {
+            for (let i = 0; i < 4; i++) {
+                const oscillator = this.audioContext.createOscillator();
+                const gainNode = this.audioContext.createGain();
+                const filter = this.audioContext.createBiquadFilter();
+                
+                oscillator.type = 'sawtooth'; // More string-like
+                oscillator.frequency.setValueAtTime(baseFreq * (1 + i * 0.25), this.audioContext.currentTime); // Perfect fourth intervals
+                oscillator.detune.setValueAtTime(detune + (i * 3), this.audioContext.currentTime); // Slight detuning
+                
+                filter.type = 'bandpass';
+                filter.frequency.setValueAtTime(baseFreq * 2, this.audioContext.currentTime);
+                filter.Q.setValueAtTime(1.5, this.audioContext.currentTime);
+                
+                gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
+                gainNode.gain.linearRampToValueAtTime(volume / 4, this.audioContext.currentTime + 8);
+                
+                oscillator.connect(filter);
+                filter.connect(gainNode);
+                gainNode.connect(this.musicGain);
+                
+                oscillator.start();
+                
+                // Add slow tremolo for horror effect
+                const lfo = this.audioContext.createOscillator();
+                const lfoGain = this.audioContext.createGain();
+                
+                lfo.type = 'sine';
+                lfo.frequency.setValueAtTime(0.3 + Math.random() * 0.4, this.audioContext.currentTime);
+                lfoGain.gain.setValueAtTime(volume / 8, this.audioContext.currentTime);
+                
+                lfo.connect(lfoGain);
+                lfoGain.connect(gainNode.gain);
+                lfo.start();
+            }
+        };
+        
+        // Create dissonant string sections
+        createStringSection(220, 0.03, -5);  // A3 minor chord
+        createStringSection(293.66, 0.025, 5); // D4 chord (tritone relation)
+    }
+    
+    createReversePianoNotes() {
+        // Create reverse piano attack sounds for psychological horror
+        const playReversePiano = () => {
+            if (!this.audioContext) return;
+            
+            const frequencies = [523.25, 622.25, 698.46, 783.99, 880]; // C5, Eb5, F5, G5, A5
+            const selectedFreq = frequencies[Math.floor(Math.random() * frequencies.length)];
+            
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            const filter = this.audioContext.createBiquadFilter();
+            
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(selectedFreq, this.audioContext.currentTime);
+            
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(selectedFreq * 2, this.audioContext.currentTime);
+            
+            const now = this.audioContext.currentTime;
+            // Reverse envelope - starts quiet and builds up, then cuts off abruptly
+            gainNode.gain.setValueAtTime(0.001, now);
+            gainNode.gain.exponentialRampToValueAtTime(0.04, now + 2);
+            gainNode.gain.linearRampToValueAtTime(0, now + 2.1);
+            
+            oscillator.connect(filter);
+            filter.connect(gainNode);
+            gainNode.connect(this.musicGain);
+            
+            oscillator.start(now);
+            oscillator.stop(now + 2.1);
+            
+            // Schedule next reverse piano note
+            this.audioScheduler.setTimeout(playReversePiano, 15000 + Math.random() * 25000); // 15-40 seconds
+        };
+        
+        // Start after 20 seconds
+        this.audioScheduler.setTimeout(playReversePiano, 20000);
+    }
+    
+    createBuildingTensionSweeps() {
+        // Create rising tension sweeps that build psychological pressure
+        const createTensionSweep = () => {
+            if (!this.audioContext) return;
+            
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            const filter = this.audioContext.createBiquadFilter();
+            
+            oscillator.type = 'sawtooth';
+            
+            filter.type = 'highpass';
+            filter.frequency.setValueAtTime(200, this.audioContext.currentTime);
+            
+            const now = this.audioContext.currentTime;
+            const sweepDuration = 8 + Math.random() * 6; // 8-14 seconds
+            
+            // Slow rising frequency sweep
+            oscillator.frequency.setValueAtTime(40, now);
+            oscillator.frequency.exponentialRampToValueAtTime(400, now + sweepDuration);
+            
+            // Slow building volume
+            gainNode.gain.setValueAtTime(0, now);
+            gainNode.gain.linearRampToValueAtTime(0.02, now + sweepDuration * 0.8);
+            gainNode.gain.linearRampToValueAtTime(0, now + sweepDuration);
+            
+            // Filter sweep for extra tension
+            filter.frequency.setValueAtTime(200, now);
+            filter.frequency.exponentialRampToValueAtTime(800, now + sweepDuration);
+            
+            oscillator.connect(filter);
+            filter.connect(gainNode);
+            gainNode.connect(this.musicGain);
+            
+            oscillator.start(now);
+            oscillator.stop(now + sweepDuration);
+            
+            // Schedule next sweep with long intervals
+            this.audioScheduler.setTimeout(createTensionSweep, 30000 + Math.random() * 45000); // 30-75 seconds
+        };
+        
+        // Start first sweep after 30 seconds
+        this.audioScheduler.setTimeout(createTensionSweep, 30000);
+    }
+    
+    playSound(soundName, volume = 1.0, pitch = 1.0) {
+        if (!this.audioContext || !this.sounds[soundName]) return;
+        
+        const source = this.audioContext.createBufferSource();
+        const gainNode = this.audioContext.createGain();
+        
+        source.buffer = this.sounds[soundName];
+        source.playbackRate.setValueAtTime(pitch, this.audioContext.currentTime);
+        
+        gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
+        
+        source.connect(gainNode);
+        gainNode.connect(this.sfxGain);
+        
+        const now = this.audioContext.currentTime;
+        source.start(now);
+    }
+    
+    resumeAudioContext() {
+        // Audio stays suspended while the pause menu is open
+        if (this.pauseMenuOpen) return;
+        
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+    
+    createFlowers(region) {
+        // Add colorful flowers scattered across the yellow terrain
+        const random = region.random;
+        const flowerColors = [
+            0xFF1744, // Red
+            0xE91E63, // Pink
+            0x9C27B0, // Purple
+            0x673AB7, // Deep Purple
+            0x3F51B5, // Indigo
+            0x2196F3, // Blue
+            0x00BCD4, // Cyan
+            0x4CAF50, // Green
+            0xFF9800, // Orange
+            0xFF5722, // Deep Orange
+        ];
+        
+        // One instanced mesh per flower part, tinted per instance
+        const material = new THREE.MeshLambertMaterial({ color: 0xffffff });
+        const centers = new InstanceBatch(new THREE.SphereGeometry(0.08, 6, 6), material);
+        const petals = new InstanceBatch(new THREE.SphereGeometry(0.15, 6, 6), material);
+        const stems = new InstanceBatch(new THREE.CylinderGeometry(0.02, 0.02, 0.3), material);
+        
+        const flower = new THREE.Object3D();
+        const part = new THREE.Object3D();
+        const matrix = new THREE.Matrix4();
+        
+        const count = Math.round(200 * region.density); // Restored from 25 to 200
+        for (let i = 0; i < count; i++) {
+            // Flower petals
+            const petalColor = flowerColors[Math.floor(random() * flowerColors.length)];
+            
+            // Position flower on terrain
+            const x = region.x + (random() - 0.5) * region.size;
+            const z = region.z + (random() - 0.5) * region.size;
+            const height = this.getTerrainHeight(x, z);
+            
+            flower.position.set(x, height + 0.1, z); // Slightly above ground to avoid clipping
+            flower.scale.setScalar(0.8 + random() * 0.4);
+            flower.rotation.y = random() * Math.PI * 2;
+            flower.updateMatrix();
+            
+            const rank = this.nextVegetationRank(region);
+            const addPart = (batch, color) => {
+                part.updateMatrix();
+                batch.add(matrix.multiplyMatrices(flower.matrix, part.matrix), color, rank);
+            };
+            
+            // Flower center
+            part.position.set(0, 0.2, 0);
+            part.scale.setScalar(1);
+            addPart(centers, 0xFFEB3B);
+            
+            for (let j = 0; j < 5; j++) {
+                const angle = (j / 5) * Math.PI * 2;
+                part.position.set(
+                    Math.cos(angle) * 0.2,
+                    0.15,
+                    Math.sin(angle) * 0.2
+                );
+                part.scale.set(0.8, 0.3, 0.8);
+                addPart(petals, petalColor);
+            }
+            
+            // Stem
+            part.position.set(0, 0.05, 0);
+            part.scale.setScalar(1);
+            addPart(stems, 0x4CAF50);
+        }
+        
+        [centers, petals, stems].forEach(batch => this.addVegetationBatch(batch, region));
+    }
+    
+    createGrassPatches(region) {
+        // Add varied grass patches, every blade drawn from one instanced cone
+        const random = region.random;
+        const blades = new InstanceBatch(
+            new THREE.ConeGeometry(0.05, 1, 3),
+            new THREE.MeshLambertMaterial({ color: 0xffffff })
+        );
+        
+        const grassPatch = new THREE.Object3D();
+        const blade = new THREE.Object3D();
+        const matrix = new THREE.Matrix4();
+        
+        const count = Math.round(150 * region.density); // Restored to previous count
+        for (let i = 0; i < count; i++) {
+            const patchBlades = [];
+            
+            // Create multiple grass blades per patch
+            for (let j = 0; j < 3 + Math.floor(random() * 4); j++) {
+                const bladeHeight = 0.5 + random() * 0.5;
+                const color = new THREE.Color().setHSL(0.25 + random() * 0.15, 0.7, 0.3 + random() * 0.4);
+                
+                patchBlades.push({
+                    height: bladeHeight,
+                    color,
+                    x: (random() - 0.5) * 0.5,
+                    y: (0.5 + random() * 0.5) / 2,
+                    z: (random() - 0.5) * 0.5,
+                    tilt: (random() - 0.5) * 0.3
+                });
+            }
+            
+            const x = region.x + (random() - 0.5) * region.size;
+            const z = region.z + (random() - 0.5) * region.size;
+            const height = this.getTerrainHeight(x, z);
+            
+            grassPatch.position.set(x, height + 0.05, z); // Slightly above ground
+            grassPatch.rotation.y = random() * Math.PI * 2;
+            grassPatch.updateMatrix();
+            
+            const rank = this.nextVegetationRank(region);
+            patchBlades.forEach(grass => {
+                blade.position.set(grass.x, grass.y, grass.z);
+                blade.rotation.z = grass.tilt;
+                blade.scale.set(1, grass.height, 1);
+                blade.updateMatrix();
+                blades.add(matrix.multiplyMatrices(grassPatch.matrix, blade.matrix), grass.color, rank);
+            });
+        }
+        
+        this.addVegetationBatch(blades, region);
+    }
+    
+    createBushes(region) {
+        // Add small decorative bushes
+        const random = region.random;
+        const material = new THREE.MeshLambertMaterial({ color: 0xffffff });
+        const leaves = new InstanceBatch(new THREE.SphereGeometry(1, 8, 6), material);
+        const blossoms = new InstanceBatch(new THREE.SphereGeometry(0.08, 6, 6), material);
+        
+        const bush = new THREE.Object3D();
+        const part = new THREE.Object3D();
+        const matrix = new THREE.Matrix4();
+        const partBounds = new THREE.Box3();
+        const sphere = new THREE.Sphere();
+        
+        const count = Math.round(80 * region.density); // Restored to previous count
+        for (let i = 0; i < count; i++) {
+            const parts = [];
+            
+            // Main bush body - multiple spheres for organic look
+            for (let j = 0; j < 3 + Math.floor(random() * 3); j++) {
+                const radius = 0.3 + random() * 0.4;
+                const color = new THREE.Color().setHSL(0.25 + random() * 0.1, 0.6, 0.2 + random() * 0.3);
+                const position = new THREE.Vector3(
+                    (random() - 0.5) * 0.6,
+                    0.2 + random() * 0.3,
+                    (random() - 0.5) * 0.6
+                );
+                parts.push({ batch: leaves, position, radius: radius * (0.7 + random() * 0.6), color });
+            }
+            
+            // Add some small flowers on bushes
+            if (random() < 0.4) {
+                const color = [0xFF1744, 0xE91E63, 0x9C27B0, 0x2196F3][Math.floor(random() * 4)];
+                const position = new THREE.Vector3(
+                    (random() - 0.5) * 0.8,
+                    0.4 + random() * 0.4,
+                    (random() - 0.5) * 0.8
+                );
+                parts.push({ batch: blossoms, position, radius: 0.08, color });
+            }
+            
+            const x = region.x + (random() - 0.5) * region.size;
+            const z = region.z + (random() - 0.5) * region.size;
+            const height = this.getTerrainHeight(x, z);
+            
+            bush.position.set(x, height + 0.2, z); // Proper ground positioning
+            bush.scale.setScalar(0.8 + random() * 0.4);
+            bush.updateMatrix();
+            
+            // Bushes block movement as a box around their leaves but let shots through
+            const bounds = new THREE.Box3();
+            parts.forEach(({ batch, position, radius, color }) => {
+                part.position.copy(position);
+                part.scale.setScalar(batch === leaves ? radius : 1);
+                part.updateMatrix();
+                batch.add(matrix.multiplyMatrices(bush.matrix, part.matrix), color);
+                
+                sphere.set(position.clone().applyMatrix4(bush.matrix), radius * bush.scale.x);
+                bounds.union(sphere.getBoundingBox(partBounds));
+            });
+            
+            const halfX = (bounds.max.x - bounds.min.x) / 2;
+            const halfZ = (bounds.max.z - bounds.min.z) / 2;
+            
+            this.registerStaticCollider({
+                shape: 'box',
+                x: (bounds.min.x + bounds.max.x) / 2,
+                z: (bounds.min.z + bounds.max.z) / 2,
+                halfX, halfZ,
+                radius: Math.sqrt(halfX * halfX + halfZ * halfZ),
+                minY: bounds.min.y,
+                maxY: bounds.max.y
+            }, [], region);
+        }
+        
+        region.group.add(leaves.build());
+        region.group.add(blossoms.build());
+    }
+    
+    createRocks(region) {
+        // Add rocks for terrain detail
+        const random = region.random;
+        const count = Math.round(15 * region.density); // Restored to previous count
+        for (let i = 0; i < count; i++) {
+            const rockRadius = 0.5 + random() * 1;
+            const rockGeometry = new THREE.DodecahedronGeometry(rockRadius);
+            const rockMaterial = new THREE.MeshLambertMaterial({ 
+                color: new THREE.Color().setHSL(0.08, 0.2, 0.4 + random() * 0.3)
+            });
+            
+            const rock = new THREE.Mesh(rockGeometry, rockMaterial);
+            
+            const x = region.x + (random() - 0.5) * region.size;
+            const z = region.z + (random() - 0.5) * region.size;
+            const height = this.getTerrainHeight(x, z);
+            
+            rock.position.set(x, height + 0.25, z); // Position rock properly on terrain
+            const rockScale = 0.5 + random() * 0.8;
+            rock.scale.setScalar(rockScale);
+            rock.rotation.set(
+                random() * Math.PI,
+                random() * Math.PI,
+                random() * Math.PI
+            );
+            rock.castShadow = true;
+            rock.updateMatrixWorld(true);
+            
+            region.group.add(rock);
+            this.registerStaticCollider({
+                shape: 'sphere', x, z,
+                radius: rockRadius * rockScale,
+                minY: rock.position.y - rockRadius * rockScale,
+                maxY: rock.position.y + rockRadius * rockScale
+            }, [rock], region);
+        }
+    }
+    
+    getTerrainHeight(x, z) {
+        // Terrain height used by both the terrain mesh and object placement
+        if (this.terrainNoise) {
+            // Endless mode - each octave adds smaller, finer hills
+            let height = 0;
+            let amplitude = ENDLESS_TERRAIN.heightScale;
+            let frequency = ENDLESS_TERRAIN.noiseScale;
+            for (let octave = 0; octave < ENDLESS_TERRAIN.octaves; octave++) {
+                // Offset each octave so their lattices don't line up at the origin
+                height += this.terrainNoise(x * frequency + octave * 31.7, z * frequency - octave * 17.3) * amplitude;
+                amplitude *= 0.5;
+                frequency *= 2;
+            }
+            return height;
+        }
+        
+        const nx = x / 100; // Restored to previous terrain size
+        const nz = z / 100;
+        
+        // Create gentle rolling hills
+        let height = 0;
+        height += Math.sin(nx * 3) * Math.cos(nz * 3) * 2;  // Large rolling hills
+        height += Math.sin(nx * 6) * Math.cos(nz * 6) * 1;  // Medium hills
+        height += Math.sin(nx * 12) * Math.cos(nz * 12) * 0.3; // Small variations
+        
+        // Create some flat plains areas
+        const plainNoise = Math.sin(nx * 4) * Math.cos(nz * 4);
+        if (Math.abs(plainNoise) < 0.3) {
+            height *= 0.2; // Flatten for plains
+        }
+        
+        return height;
+    }
+    
+    registerStaticCollider(collider, blockerMeshes = [], region = null) {
+        // Props that block movement - radius bounds every shape on the ground plane, minY/maxY its height
+        this.staticColliders.push(collider);
+        this.colliderHash.insert(collider, collider.x, collider.z, collider.radius);
+        
+        // Meshes that should also stop shots
+        this.bulletBlockers.push(...blockerMeshes);
+        
+        if (region) {
+            region.colliders.push(collider);
+            region.blockers.push(...blockerMeshes);
+        }
+    }
+    
+    getStaticGroundHeight(x, z, radius, feetY) {
+        // Highest prop top under a circle whose feet are at or above it - lets the player stand on rocks and bushes
+        let groundHeight = -Infinity;
+        this.colliderHash.query(x, z, radius).forEach(collider => {
+            if (feetY < collider.maxY - 0.05) return;
+            
+            let inside;
+            if (collider.shape === 'box') {
+                inside = Math.abs(x - collider.x) <= collider.halfX + radius * 0.5 &&
+                    Math.abs(z - collider.z) <= collider.halfZ + radius * 0.5;
+            } else {
+                const dx = x - collider.x;
+                const dz = z - collider.z;
+                const reach = collider.radius + radius * 0.5;
+                inside = dx * dx + dz * dz <= reach * reach;
+            }
+            if (inside) groundHeight = Math.max(groundHeight, collider.maxY);
+        });
+        return groundHeight;
+    }
+    
+    isInsideStaticCollider(point) {
+        // Point test for small projectiles against the same props
+        for (const collider of this.colliderHash.query(point.x, point.z, 0)) {
+            if (point.y < collider.minY || point.y > collider.maxY) continue;
+            
+            if (collider.shape === 'box') {
+                if (Math.abs(point.x - collider.x) <= collider.halfX && Math.abs(point.z - collider.z) <= collider.halfZ) return true;
+            } else if (collider.shape === 'sphere') {
+                const centreY = (collider.minY + collider.maxY) / 2;
+                const dx = point.x - collider.x;
+                const dy = point.y - centreY;
+                const dz = point.z - collider.z;
+                if (dx * dx + dy * dy + dz * dz <= collider.radius * collider.radius) return true;
+            } else {
+                const dx = point.x - collider.x;
+                const dz = point.z - collider.z;
+                if (dx * dx + dz * dz <= collider.radius * collider.radius) return true;
+            }
+        }
+        return false;
+    }
+    
+    resolveStaticCollisions(position, radius, feetY = -Infinity) {
+        // Push a circle of the given radius out of every prop it overlaps; moving into a prop
+        // at an angle leaves the tangential part of the step, so movers slide along it
+        const nearby = this.colliderHash.query(position.x, position.z, radius);
+        nearby.forEach(collider => {
+            // Anything standing on top of a prop clears it
+            if (feetY >= collider.maxY - 0.05) return;
+            
+            let closestX = collider.x;
+            let closestZ = collider.z;
+            let minDistance = collider.radius + radius;
+            if (collider.shape === 'box') {
+                closestX = THREE.MathUtils.clamp(position.x, collider.x - collider.halfX, collider.x + collider.halfX);
+                closestZ = THREE.MathUtils.clamp(position.z, collider.z - collider.halfZ, collider.z + collider.halfZ);
+                minDistance = radius;
+            }
+            
+            const dx = position.x - closestX;
+            const dz = position.z - closestZ;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance >= minDistance) return;
+            
+            if (distance > 0.0001) {
+                position.x = closestX + (dx / distance) * minDistance;
+                position.z = closestZ + (dz / distance) * minDistance;
+            } else if (collider.shape === 'box') {
+                // Centre is inside the box - leave through the nearest face
+                const exitX = collider.halfX - Math.abs(position.x - collider.x);
+                const exitZ = collider.halfZ - Math.abs(position.z - collider.z);
+                if (exitX < exitZ) {
+                    position.x = collider.x + Math.sign(position.x - collider.x || 1) * (collider.halfX + radius);
+                } else {
+                    position.z = collider.z + Math.sign(position.z - collider.z || 1) * (collider.halfZ + radius);
+                }
+            }
+        });
+    }
+    
+    checkBoundaries(position) {
+        // Check if position is within world bounds and enforce air walls
+        let bounded = false;
+        
+        if (position.x < this.worldBounds.minX) {
+            position.x = this.worldBounds.minX;
+            bounded = true;
+        }
+        if (position.x > this.worldBounds.maxX) {
+            position.x = this.worldBounds.maxX;
+            bounded = true;
+        }
+        if (position.z < this.worldBounds.minZ) {
+            position.z = this.worldBounds.minZ;
+            bounded = true;
+        }
+        if (position.z > this.worldBounds.maxZ) {
+            position.z = this.worldBounds.maxZ;
+            bounded = true;
+        }
+        
+        return bounded;
+    }
+    
+    createTrees(region) {
+        // Add Ghibli-style trees
+        const random = region.random;
+        const count = Math.round(25 * region.density); // Restored to previous count
+        for (let i = 0; i < count; i++) {
+            const tree = new THREE.Group();
+            
+            // Trunk
+            const trunkGeometry = new THREE.CylinderGeometry(0.3, 0.5, 4);
+            const trunkMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
+            const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
+            trunk.position.y = 2;
+            trunk.castShadow = true;
+            tree.add(trunk);
+            
+            // Leaves - fluffy Ghibli style
+            const leavesGeometry = new THREE.SphereGeometry(3, 8, 6);
+            const leavesMaterial = new THREE.MeshLambertMaterial({ color: 0x228B22 });
+            const leaves = new THREE.Mesh(leavesGeometry, leavesMaterial);
+            leaves.position.y = 5;
+            leaves.castShadow = true;
+            tree.add(leaves);
+            
+            // Position in world
+            const x = region.x + (random() - 0.5) * region.size;
+            const z = region.z + (random() - 0.5) * region.size;
+            const height = this.getTerrainHeight(x, z);
+            tree.position.set(x, height, z); // Trees positioned properly on terrain
+            const treeScale = 0.8 + random() * 0.4;
+            tree.scale.setScalar(treeScale);
+            tree.updateMatrixWorld(true);
+            
+            region.group.add(tree);
+            this.registerStaticCollider({
+                shape: 'cylinder', x, z,
+                radius: 0.5 * treeScale,
+                minY: height,
+                maxY: height + 4 * treeScale
+            }, [trunk, leaves], region);
+        }
+    }
+    
+    startGame() {
+        this.gameTime = 0;
+        this.score = 0;
+        this.gameRunning = true;
+        this.simAccumulator = 0;
+        
+        // Gameplay streams restart from the seed so replays spawn and drop identically
+        this.spawnRandom = createSeededRandom(this.seed ^ 0x5EED5EED);
+        this.lootRandom = createSeededRandom(this.seed ^ 0x1007AB1E);
+        this.upgradeRandom = createSeededRandom(this.seed ^ 0x0B0057ED);
+        
+        this.runStats.reset();
+        this.combo = { count: 0, timer: 0 };
+        this.clearKillFeed();
+        this.clearHurtEffects();
+        
+        // Fresh character - level 1 with no upgrades
+        this.resetProgression();
+        this.health = this.stats.maxHealth;
+        
+        // Start enemy spawning from wave one
+        this.waveDirector.reset();
+        this.updateUI();
+    }
+    
+    togglePause() {
+        if (this.pauseMenuOpen) {
+            this.resumeGame();
+        } else {
+            this.pauseGame();
+        }
+    }
+    
+    handleEscape() {
+        if (this.recordsOpen) {
+            this.closeRecords();
+            return;
+        }
+        
+        if (!this.pauseMenuOpen) {
+            this.pauseGame();
+            return;
+        }
+        
+        // The Escape that released pointer lock may arrive after the lock change already paused us
+        if (performance.now() - this.pausedAt < 300) return;
+        
+        if (document.getElementById('pauseMainPanel').style.display === 'none') {
+            this.showPausePanel('pauseMainPanel');
+        } else {
+            this.resumeGame();
+        }
+    }
+    
+    pauseGame() {
+        // The level-up and game over screens hold their own pause
+        if (!this.gameRunning || this.isPaused || this.upgradeChoices) return;
+        
+        this.isPaused = true;
+        this.pauseMenuOpen = true;
+        this.pausedAt = performance.now();
+        this.input.reset();
+        document.exitPointerLock();
+        
+        this.showPausePanel('pauseMainPanel');
+        document.getElementById('pauseUI').style.display = 'flex';
+        
+        // Freeze the music and horror sound loops and silence anything still ringing
+        this.audioScheduler.pause();
+        if (this.audioContext && this.audioContext.state === 'running') {
+            this.audioContext.suspend();
+        }
+    }
+    
+    resumeGame() {
+        if (!this.pauseMenuOpen) return;
+        
+        this.closePauseMenu();
+        this.isPaused = false;
+        this.renderer.domElement.requestPointerLock();
+    }
+    
+    closePauseMenu() {
+        if (!this.pauseMenuOpen) return;
+        
+        this.cancelBindingCapture();
+        this.pauseMenuOpen = false;
+        document.getElementById('pauseUI').style.display = 'none';
+        this.audioScheduler.resume();
+        this.resumeAudioContext();
+    }
+    
+    showPausePanel(panelId) {
+        this.cancelBindingCapture();
+        document.querySelectorAll('.pausePanel').forEach(panel => {
+            panel.style.display = panel.id === panelId ? 'block' : 'none';
+        });
+    }
+    
+    resetProgression() {
+        this.level = 1;
+        this.xp = 0;
+        this.pendingLevelUps = 0;
+        this.upgradeChoices = null;
+        this.upgradeCounts = {};
+        this.statModifiers = [];
+        this.regenDelay = 0;
+        this.passiveWeapons = {};
+        this.recalculateStats();
+    }
+    
+    addStatModifier(stat, type, value) {
+        this.statModifiers.push({ stat, type, value });
+        this.recalculateStats();
+    }
+    
+    recalculateStats() {
+        // Flat bonuses first, then multipliers, so +25 max health and x1.2 damage combine predictably
+        const stats = { ...PLAYER_BASE_STATS };
+        this.statModifiers.forEach(modifier => {
+            if (modifier.type === 'add') stats[modifier.stat] += modifier.value;
+        });
+        this.statModifiers.forEach(modifier => {
+            if (modifier.type === 'multiply') stats[modifier.stat] *= modifier.value;
+        });
+        this.stats = stats;
+    }
+    
+    gainXp(amount) {
+        this.xp += amount;
+        while (this.xp >= getXpForLevel(this.level)) {
+            this.xp -= getXpForLevel(this.level);
+            this.level++;
+            this.pendingLevelUps++;
+        }
+        
+        if (this.pendingLevelUps > 0 && !this.upgradeChoices) {
+            this.offerUpgrades();
+        }
+    }
+    
+    offerUpgrades() {
+        // Three random upgrades that haven't hit their stack limit
+        const available = Object.keys(UPGRADES).filter(id => (this.upgradeCounts[id] || 0) < UPGRADES[id].maxStacks);
+        if (available.length === 0) {
+            this.pendingLevelUps = 0;
+            return;
+        }
+        
+        const choices = [];
+        while (choices.length < 3 && available.length > 0) {
+            const index = Math.floor(this.upgradeRandom() * available.length);
+            choices.push(available.splice(index, 1)[0]);
+        }
+        this.upgradeChoices = choices;
+        
+        // Freeze the game while the player decides
+        this.isPaused = true;
+        this.input.reset();
+        document.exitPointerLock();
+        
+        const container = document.getElementById('upgradeChoices');
+        container.innerHTML = '';
+        choices.forEach((id, index) => {
+            const upgrade = UPGRADES[id];
+            const stacks = this.upgradeCounts[id] || 0;
+            const button = document.createElement('button');
+            button.className = 'upgradeChoice';
+            button.innerHTML = `<span class="upgradeName">${index + 1}. ${upgrade.name}</span>` +
+                `<span class="upgradeDescription">${upgrade.description} (${stacks}/${upgrade.maxStacks})</span>`;
+            button.addEventListener('click', () => this.chooseUpgrade(index));
+            container.appendChild(button);
+        });
+        
+        document.getElementById('levelUpUI').style.display = 'flex';
+    }
+    
+    chooseUpgrade(index) {
+        if (!this.upgradeChoices || !this.upgradeChoices[index]) return;
+        
+        const id = this.upgradeChoices[index];
+        const upgrade = UPGRADES[id];
+        this.upgradeCounts[id] = (this.upgradeCounts[id] || 0) + 1;
+        if (upgrade.passive) {
+            this.levelUpPassive(upgrade.passive);
+        } else {
+            this.addStatModifier(upgrade.stat, upgrade.type, upgrade.value);
+        }
+        
+        // Extra max health arrives already filled
+        if (upgrade.stat === 'maxHealth') {
+            this.health += upgrade.value;
+        }
+        
+        this.upgradeChoices = null;
+        this.pendingLevelUps--;
+        document.getElementById('levelUpUI').style.display = 'none';
+        
+        // Several levels gained at once queue up one choice each
+        if (this.pendingLevelUps > 0) {
+            this.offerUpgrades();
+            return;
+        }
+        
+        this.isPaused = false;
+        this.renderer.domElement.requestPointerLock();
+    }
+    
+    updatePlayer(deltaTime) {
+        if (this.isPaused || !this.gameRunning) return;
+        
+        const player = this.player;
+        const movement = this.movement;
+        
+        // Mouse look
+        player.rotation.y = -this.mouse.x;
+        player.rotation.x = -this.mouse.y;
+        
+        // Movement - keys give a unit vector, the stick anything up to that
+        const moveAxis = this.input.getMoveAxis();
+        const moveVector = new THREE.Vector3(moveAxis.x, 0, moveAxis.y);
+        const moving = moveVector.length() > 0;
+        
+        // Stance - crouching can't be combined with sprinting
+        player.crouching = this.input.isDown('crouch');
+        const wantsSprint = this.input.isDown('sprint');
+        player.sprinting = wantsSprint && moving && !player.crouching && player.stamina > 0;
+        
+        // Stamina drains while sprinting and refills after a short pause
+        if (player.sprinting) {
+            player.stamina = Math.max(0, player.stamina - movement.sprintDrain * deltaTime);
+            player.staminaDelay = movement.staminaRegenDelay;
+        } else if (player.staminaDelay > 0) {
+            player.staminaDelay -= deltaTime;
+        } else {
+            player.stamina = Math.min(movement.maxStamina, player.stamina + movement.staminaRegen * deltaTime);
+        }
+        
+        player.dashCooldown = Math.max(0, player.dashCooldown - deltaTime);
+        player.invulnerableTimer = Math.max(0, player.invulnerableTimer - deltaTime);
+        
+        const step = new THREE.Vector3();
+        if (player.dashTimer > 0) {
+            // Dashing overrides normal movement
+            player.dashTimer -= deltaTime;
+            step.copy(player.dashDirection).multiplyScalar(movement.dashSpeed * deltaTime);
+        } else if (moving) {
+            let speedMultiplier = this.stats.moveSpeed * (this.activePowerUps.haste ? 1.5 : 1);
+            if (player.sprinting) speedMultiplier *= movement.sprintSpeed;
+            if (player.crouching) speedMultiplier *= movement.crouchSpeed;
+            moveVector.multiplyScalar(player.speed * speedMultiplier * deltaTime);
+            
+            // Apply rotation to movement
+            const quaternion = new THREE.Quaternion();
+            quaternion.setFromEuler(new THREE.Euler(0, player.rotation.y, 0));
+            step.copy(moveVector.applyQuaternion(quaternion));
+        }
+        
+        // Gravity and jumping work on the feet; the eye sits eyeHeight above them
+        let feetY = player.position.y - player.eyeHeight;
+        player.velocity.y -= movement.gravity * deltaTime;
+        feetY += player.velocity.y * deltaTime;
+        
+        if (step.lengthSq() > 0) {
+            player.position.x += step.x;
+            player.position.z += step.z;
+            
+            // Slide along trees, rocks and bushes
+            this.resolveStaticCollisions(player.position, player.radius, feetY);
+            
+            // Enforce air wall boundaries for player
+            this.checkBoundaries(player.position);
+        }
+        
+        // Land on the terrain or on top of a prop
+        const groundHeight = Math.max(
+            this.getTerrainHeight(player.position.x, player.position.z),
+            this.getStaticGroundHeight(player.position.x, player.position.z, player.radius, feetY)
+        );
+        const wasOnGround = player.onGround;
+        if (feetY <= groundHeight) {
+            feetY = groundHeight;
+            player.velocity.y = 0;
+            player.onGround = true;
+        } else if (wasOnGround && player.velocity.y <= 0 && feetY - groundHeight < 0.3) {
+            // Stick to the ground when walking down slopes instead of bouncing off them
+            feetY = groundHeight;
+            player.velocity.y = 0;
+        } else {
+            player.onGround = false;
+        }
+        
+        // Ease the camera between standing and crouching heights
+        const targetEyeHeight = player.crouching ? movement.crouchHeight : movement.standHeight;
+        player.eyeHeight += (targetEyeHeight - player.eyeHeight) * Math.min(1, deltaTime * 12);
+        player.position.y = feetY + player.eyeHeight;
+        
+        // Create footstep dust when moving on the ground
+        if (moving && player.onGround && !player.crouching) {
+            this.createFootstepDust(new THREE.Vector3(player.position.x, feetY + 0.1, player.position.z));
+        }
+        
+        // Ground covered this step and whether we're hugging the air walls
+        const bounds = this.worldBounds;
+        const wallDistance = Math.min(
+            player.position.x - bounds.minX, bounds.maxX - player.position.x,
+            player.position.z - bounds.minZ, bounds.maxZ - player.position.z
+        );
+        this.runStats.record('playerMoved', {
+            distance: Math.hypot(player.position.x - player.previousPosition.x, player.position.z - player.previousPosition.z),
+            nearWall: wallDistance < WALL_PROXIMITY,
+            deltaTime
+        });
+        
+        // Regeneration kicks in after a short break from taking damage
+        if (this.regenDelay > 0) {
+            this.regenDelay -= deltaTime;
+        } else if (this.stats.regen > 0) {
+            this.health = Math.min(this.stats.maxHealth, this.health + this.stats.regen * deltaTime);
+        }
+        
+        // Walk over drops to collect them
+        this.collectPickups();
+    }
+    
+    jump() {
+        if (this.isPaused || !this.gameRunning || !this.player.onGround) return;
+        
+        this.player.velocity.y = this.movement.jumpSpeed;
+        this.player.onGround = false;
+    }
+    
+    startDash() {
+        const player = this.player;
+        if (this.isPaused || !this.gameRunning) return;
+        if (player.dashCooldown > 0 || player.stamina < this.movement.dashCost) return;
+        
+        // Dash the way we're moving, or straight ahead when standing still
+        const moveAxis = this.input.getMoveAxis();
+        const direction = new THREE.Vector3(moveAxis.x, 0, moveAxis.y);
+        if (direction.lengthSq() === 0) direction.z = -1;
+        direction.normalize().applyEuler(new THREE.Euler(0, player.rotation.y, 0));
+        
+        player.dashDirection.copy(direction);
+        player.dashTimer = this.movement.dashDuration;
+        player.dashCooldown = this.movement.dashCooldown;
+        player.invulnerableTimer = Math.max(player.invulnerableTimer, this.movement.dashInvulnerability);
+        player.stamina -= this.movement.dashCost;
+        player.staminaDelay = this.movement.staminaRegenDelay;
+    }
+    
+    updateCamera(alpha) {
+        // Camera sits between the last two simulation positions; look direction follows the mouse every frame
+        this.camera.position.lerpVectors(this.player.previousPosition, this.player.position, alpha);
+        this.camera.rotation.order = 'YXZ'; // Set rotation order for proper FPS controls
+        this.camera.rotation.set(-this.mouse.y, -this.mouse.x, 0);
+        
+        // Hit shake - jitter position and roll a little
+        if (this.cameraShake > 0) {
+            this.camera.position.x += (Math.random() - 0.5) * this.cameraShake;
+            this.camera.position.y += (Math.random() - 0.5) * this.cameraShake;
+            this.camera.rotation.z = (Math.random() - 0.5) * this.cameraShake * 0.3;
+        }
+        
+        // Update player's light to follow player and aim where they're looking
+        if (this.playerLight) {
+            this.playerLight.position.copy(this.camera.position);
+            this.playerLight.position.y += 0.5; // Slightly above player
+            
+            // Make light point in the direction the player is looking
+            const direction = new THREE.Vector3();
+            this.camera.getWorldDirection(direction);
+            this.playerLight.target.position.copy(this.camera.position).add(direction.multiplyScalar(10));
+        }
+    }
+    
+    spawnEnemy(type, spawnPosition) {
+        // Keep spawns a little inside the air walls so they don't arrive stuck against them
+        const margin = 2;
+        spawnPosition.x = THREE.MathUtils.clamp(spawnPosition.x, this.worldBounds.minX + margin, this.worldBounds.maxX - margin);
+        spawnPosition.z = THREE.MathUtils.clamp(spawnPosition.z, this.worldBounds.minZ + margin, this.worldBounds.maxZ - margin);
+        
+        const enemy = this.createEnemy(type, spawnPosition);
+        this.enemies.push(enemy);
+        this.enemyHash.insert(enemy, enemy.position.x, enemy.position.z, ENEMY_TYPES[type].radius);
+        return enemy;
+    }
+    
+    pickEnemyType(waveNumber) {
+        // Weighted pick from every roster entry unlocked by this wave; newer types grow more common over time
+        const entries = [];
+        Object.entries(ENEMY_TYPES).forEach(([type, definition]) => {
+            if (definition.spawnWeight > 0 && waveNumber >= definition.minWave) {
+                const weight = definition.spawnWeight * (1 + (waveNumber - definition.minWave) * 0.1);
+                entries.push({ type, weight });
+            }
+        });
+        
+        return this.pickWeighted(entries, this.spawnRandom).type;
+    }
+    
+    getRandomSpawnPosition(minDistance, maxDistance) {
+        // Random point on a ring around the player
+        const angle = this.spawnRandom() * Math.PI * 2;
+        const distance = minDistance + this.spawnRandom() * (maxDistance - minDistance);
+        return new THREE.Vector3(
+            this.player.position.x + Math.cos(angle) * distance,
+            0,
+            this.player.position.z + Math.sin(angle) * distance
+        );
+    }
+    
+    getCurrentEnemySpeed() {
+        // Calculate speed multiplier based on minutes elapsed
+        const minutesElapsed = Math.floor(this.gameTime / 60);
+        const speedMultiplier = Math.pow(1.2, minutesElapsed); // 20% increase per minute
+        
+        return this.baseEnemySpeed * speedMultiplier;
+    }
+    
+    createEnemy(type = 'normal', spawnPosition = this.getRandomSpawnPosition(30, 50)) {
+        const definition = ENEMY_TYPES[type];
+        
+        // Type-specific mesh
+        const enemyGroup = this[definition.builder]();
+        
+        // Place at the spawn point on the terrain surface
+        const terrainHeight = this.getTerrainHeight(spawnPosition.x, spawnPosition.z);
+        enemyGroup.position.set(spawnPosition.x, terrainHeight + definition.hoverHeight, spawnPosition.z);
+        enemyGroup.updateMatrixWorld(true);
+        
+        enemyGroup.enemyType = type;
+        enemyGroup.health = definition.health;
+        enemyGroup.maxHealth = definition.health;
+        enemyGroup.speed = this.getCurrentEnemySpeed() * definition.speed; // Use dynamic speed based on difficulty
+        enemyGroup.behaviorState = null;
+        enemyGroup.behaviorTimer = 0;
+        enemyGroup.castShadow = true;
+        
+        this.scene.add(enemyGroup);
+        return enemyGroup;
+    }
+    
+    createPillBody(size, lowerColor, upperColor, eyeOpacity = 0.9, eyeGlowOpacity = 0.3) {
+        // Pill-shaped body shared by every enemy type - size 1 is the regular grunt
+        const enemyGroup = new THREE.Group();
+        
+        // Lower body (pill shape)
+        // Geometry is cached per size; materials stay per enemy because hit flashes and eye pulses change them
+        const bodyGeometry = this.resources.geometry(`pillBody:${size}`, () => new THREE.CapsuleGeometry(0.5 * size, 1.0 * size, 4, 8));
+        const lowerBodyMaterial = new THREE.MeshLambertMaterial({ color: lowerColor });
+        const lowerBody = new THREE.Mesh(bodyGeometry, lowerBodyMaterial);
+        lowerBody.position.y = -0.5 * size;
+        enemyGroup.add(lowerBody);
+        
+        // Upper body (pill shape)
+        const upperBodyMaterial = new THREE.MeshLambertMaterial({ color: upperColor });
+        const upperBody = new THREE.Mesh(bodyGeometry, upperBodyMaterial);
+        upperBody.position.y = 0.5 * size;
+        enemyGroup.add(upperBody);
+        
+        // Add red glowing eyes
+        const eyeGeometry = this.resources.geometry(`eye:${size}`, () => new THREE.SphereGeometry(0.08 * size, 8, 8));
+        const eyeGlowGeometry = this.resources.geometry(`eyeGlow:${size}`, () => new THREE.SphereGeometry(0.12 * size, 8, 8));
+        const eyes = [];
+        const eyeGlows = [];
+        
+        [-1, 1].forEach(side => {
+            const eyeMaterial = new THREE.MeshBasicMaterial({
+                color: 0xFF0000,
+                transparent: true,
+                opacity: eyeOpacity
+            });
+            const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+            eye.position.set(0.2 * size * side, 0.8 * size, 0.4 * size);
+            enemyGroup.add(eye);
+            eyes.push(eye);
+            
+            const eyeGlowMaterial = new THREE.MeshBasicMaterial({
+                color: 0xFF0000,
+                transparent: true,
+                opacity: eyeGlowOpacity
+            });
+            const eyeGlow = new THREE.Mesh(eyeGlowGeometry, eyeGlowMaterial);
+            eyeGlow.position.copy(eye.position);
+            enemyGroup.add(eyeGlow);
+            eyeGlows.push(eyeGlow);
+        });
+        
+        // Store references for animation
+        enemyGroup.leftEye = eyes[0];
+        enemyGroup.rightEye = eyes[1];
+        enemyGroup.leftEyeGlow = eyeGlows[0];
+        enemyGroup.rightEyeGlow = eyeGlows[1];
+        enemyGroup.eyeTime = Math.random() * Math.PI * 2; // Random start phase
+        
+        // Meshes that bullets can hit - hits at or above eye level count as headshots
+        this.registerHitMeshes(enemyGroup, [lowerBody, upperBody], eyes.concat(eyeGlows));
+        enemyGroup.headHeight = 0.65 * size;
+        enemyGroup.bodyMaterials = [lowerBodyMaterial, upperBodyMaterial];
+        
+        return enemyGroup;
+    }
+    
+    buildGruntMesh() {
+        // Green lower body and white upper body
+        return this.createPillBody(1, 0x00AA00, 0xFFFFFF);
+    }
+    
+    buildGiantMesh() {
+        // Double-size pill with darker green body
+        const giantEnemyGroup = this.createPillBody(2, 0x007700, 0xF0F0F0, 0.95, 0.4);
+        giantEnemyGroup.isGiant = true; // Mark as giant enemy
+        
+        // Add a glowing effect to make it more menacing (not a hit mesh)
+        const glowGeometry = this.resources.geometry('giantGlow', () => new THREE.SphereGeometry(4, 16, 16)); // Bigger glow for giant
+        const glowMaterial = new THREE.MeshBasicMaterial({
+            color: 0xFF0000,
+            transparent: true,
+            opacity: 0.1
+        });
+        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+        glow.position.y = 0;
+        giantEnemyGroup.add(glow);
+        
+        // Add pulsing glow animation
+        giantEnemyGroup.bodyGlow = glow;
+        giantEnemyGroup.glowTime = 0;
+        
+        // Add health bar above giant enemy
+        this.createGiantHealthBar(giantEnemyGroup);
+        
+        return giantEnemyGroup;
+    }
+    
+    buildFlankerMesh() {
+        // Small, yellow and quick
+        return this.createPillBody(0.8, 0xD4A000, 0xFFF4CC);
+    }
+    
+    buildSpitterMesh() {
+        // Purple body with a glowing green mouth that spits projectiles
+        const spitter = this.createPillBody(1, 0x6A1B9A, 0xE1BEE7);
+        
+        const mouthGeometry = this.resources.geometry('spitterMouth', () => new THREE.ConeGeometry(0.15, 0.4, 8));
+        const mouthMaterial = this.resources.material('spitterMouth', () => new THREE.MeshBasicMaterial({
+            color: 0x66FF33,
+            transparent: true,
+            opacity: 0.8
+        }));
+        const mouth = new THREE.Mesh(mouthGeometry, mouthMaterial);
+        mouth.rotation.x = Math.PI / 2; // Point forward
+        mouth.position.set(0, 0.45, 0.55);
+        spitter.add(mouth);
+        spitter.mouth = mouth;
+        
+        return spitter;
+    }
+    
+    buildSplitterMesh() {
+        // Bulky teal pill that bursts into splitlings
+        return this.createPillBody(1.2, 0x00897B, 0xB2DFDB);
+    }
+    
+    buildSplitlingMesh() {
+        return this.createPillBody(0.6, 0x00897B, 0xB2DFDB);
+    }
+    
+    buildExploderMesh() {
+        // Orange pill wrapped in a glow that flares up while the fuse burns
+        const exploder = this.createPillBody(1, 0xCC3300, 0xFFCCAA);
+        
+        const fuseGlowGeometry = this.resources.geometry('fuseGlow', () => new THREE.SphereGeometry(1.3, 12, 12));
+        const fuseGlowMaterial = new THREE.MeshBasicMaterial({
+            color: 0xFF6600,
+            transparent: true,
+            opacity: 0.1
+        });
+        const fuseGlow = new THREE.Mesh(fuseGlowGeometry, fuseGlowMaterial);
+        exploder.add(fuseGlow);
+        exploder.fuseGlow = fuseGlow;
+        
+        return exploder;
+    }
+    
+    buildShieldedMesh() {
+        // Steel-grey pill carrying a shield plate in front - the plate blocks shots
+        const shielded = this.createPillBody(1.1, 0x455A64, 0xCFD8DC);
+        
+        const shieldGeometry = this.resources.geometry('shield', () => new THREE.CylinderGeometry(1.0, 1.0, 2.2, 12, 1, true, -Math.PI / 3, Math.PI * 2 / 3));
+        const shieldMaterial = this.resources.material('shield', () => new THREE.MeshLambertMaterial({
+            color: 0x90A4AE,
+            side: THREE.DoubleSide
+        }));
+        const shield = new THREE.Mesh(shieldGeometry, shieldMaterial);
+        shield.position.y = 0.1;
+        shield.userData.enemy = shielded;
+        shield.userData.hitZone = 'shield';
+        shielded.add(shield);
+        shielded.hitMeshes.push(shield);
+        
+        return shielded;
+    }
+    
+    registerHitMeshes(enemy, bodyMeshes, headMeshes) {
+        bodyMeshes.forEach(mesh => {
+            mesh.userData.enemy = enemy;
+        });
+        headMeshes.forEach(mesh => {
+            mesh.userData.enemy = enemy;
+            mesh.userData.hitZone = 'head';
+        });
+        enemy.hitMeshes = bodyMeshes.concat(headMeshes);
+    }
+    
+    createGiantHealthBar(enemy) {
+        // Create health bar background
+        const barGeometry = this.resources.geometry('healthBar', () => new THREE.PlaneGeometry(4, 0.3));
+        const barBackgroundMaterial = this.resources.material('healthBarBackground', () => new THREE.MeshBasicMaterial({ 
+            color: 0x333333,
+            transparent: true,
+            opacity: 0.8
+        }));
+        const healthBarBackground = new THREE.Mesh(barGeometry, barBackgroundMaterial);
+        healthBarBackground.position.set(0, 3.5, 0); // Adjusted for pill shape height
+        healthBarBackground.lookAt(0, 3.5, 1); // Face camera initially
+        enemy.add(healthBarBackground);
+        
+        // Create health bar foreground
+        const healthBarMaterial = new THREE.MeshBasicMaterial({ 
+            color: 0xFF0000,
+            transparent: true,
+            opacity: 0.9
+        });
+        const healthBar = new THREE.Mesh(barGeometry, healthBarMaterial);
+        healthBar.position.set(0, 3.51, 0); // Adjusted for pill shape height
+        healthBar.lookAt(0, 3.51, 1); // Face camera initially
+        enemy.add(healthBar);
         
-        // Start after 20 seconds
-        setTimeout(playReversePiano, 20000);
+        // Store reference for updates
+        enemy.healthBar = healthBar;
+        enemy.healthBarBackground = healthBarBackground;
     }
     
-    createBuildingTensionSweeps() {
-        // Create rising tension sweeps that build psychological pressure
-        const createTensionSweep = () => {
-            if (!this.audioContext) return;
-            
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            const filter = this.audioContext.createBiquadFilter();
-            
-            oscillator.type = 'sawtooth';
-            
-            filter.type = 'highpass';
-            filter.frequency.setValueAtTime(200, this.audioContext.currentTime);
-            
-            const now = this.audioContext.currentTime;
-            const sweepDuration = 8 + Math.random() * 6; // 8-14 seconds
-            
-            // Slow rising frequency sweep
-            oscillator.frequency.setValueAtTime(40, now);
-            oscillator.frequency.exponentialRampToValueAtTime(400, now + sweepDuration);
-            
-            // Slow building volume
-            gainNode.gain.setValueAtTime(0, now);
-            gainNode.gain.linearRampToValueAtTime(0.02, now + sweepDuration * 0.8);
-            gainNode.gain.linearRampToValueAtTime(0, now + sweepDuration);
-            
-            // Filter sweep for extra tension
-            filter.frequency.setValueAtTime(200, now);
-            filter.frequency.exponentialRampToValueAtTime(800, now + sweepDuration);
-            
-            oscillator.connect(filter);
-            filter.connect(gainNode);
-            gainNode.connect(this.musicGain);
+    updateGiantHealthBar(enemy) {
+        if (enemy.healthBar && enemy.healthBarBackground) {
+            // Update health bar scale based on current health
+            const healthPercent = enemy.health / enemy.maxHealth;
+            enemy.healthBar.scale.x = Math.max(0, healthPercent);
             
-            oscillator.start(now);
-            oscillator.stop(now + sweepDuration);
+            // Change color based on health
+            if (healthPercent > 0.6) {
+                enemy.healthBar.material.color.setHex(0xFF0000); // Red
+            } else if (healthPercent > 0.3) {
+                enemy.healthBar.material.color.setHex(0xFF6600); // Orange
+            } else {
+                enemy.healthBar.material.color.setHex(0xFF0000); // Bright red
+            }
             
-            // Schedule next sweep with long intervals
-            setTimeout(createTensionSweep, 30000 + Math.random() * 45000); // 30-75 seconds
-        };
+            // Make health bar face the camera
+            const cameraPosition = this.camera.position;
+            enemy.healthBar.lookAt(cameraPosition);
+            enemy.healthBarBackground.lookAt(cameraPosition);
+        }
+    }
+    
+    resetWeapons() {
+        this.weaponAmmo = {};
+        WEAPON_ORDER.forEach(id => {
+            this.weaponAmmo[id] = {
+                magazine: WEAPONS[id].magazineSize,
+                reserve: WEAPONS[id].startingReserve
+            };
+        });
+        this.currentWeapon = 'pistol';
+        this.fireCooldown = 0;
+        this.reloadTimer = 0;
+    }
+    
+    switchWeapon(weaponId) {
+        if (!WEAPONS[weaponId] || weaponId === this.currentWeapon) return;
         
-        // Start first sweep after 30 seconds
-        setTimeout(createTensionSweep, 30000);
+        // Switching cancels any reload in progress
+        this.currentWeapon = weaponId;
+        this.reloadTimer = 0;
+        this.fireCooldown = Math.max(this.fireCooldown, 0.25); // Brief draw time
     }
     
-    playSound(soundName, volume = 1.0, pitch = 1.0) {
-        if (!this.audioContext || !this.sounds[soundName]) return;
+    startReload() {
+        const weapon = WEAPONS[this.currentWeapon];
+        const ammo = this.weaponAmmo[this.currentWeapon];
         
-        const source = this.audioContext.createBufferSource();
-        const gainNode = this.audioContext.createGain();
+        if (this.reloadTimer > 0 || ammo.magazine >= weapon.magazineSize || ammo.reserve <= 0) return;
         
-        source.buffer = this.sounds[soundName];
-        source.playbackRate.setValueAtTime(pitch, this.audioContext.currentTime);
+        this.reloadTimer = weapon.reloadTime;
+    }
+    
+    finishReload() {
+        const weapon = WEAPONS[this.currentWeapon];
+        const ammo = this.weaponAmmo[this.currentWeapon];
+        
+        const needed = weapon.magazineSize - ammo.magazine;
+        const loaded = Math.min(needed, ammo.reserve);
+        ammo.magazine += loaded;
+        ammo.reserve -= loaded;
+    }
+    
+    addAmmo(magazines) {
+        // Ammo drops top up every weapon with a finite reserve
+        WEAPON_ORDER.forEach(id => {
+            const weapon = WEAPONS[id];
+            const ammo = this.weaponAmmo[id];
+            if (ammo.reserve !== Infinity) {
+                ammo.reserve = Math.min(weapon.maxReserve, ammo.reserve + weapon.magazineSize * magazines);
+            }
+        });
+    }
+    
+    updateWeapons(deltaTime) {
+        if (this.fireCooldown > 0) {
+            this.fireCooldown -= deltaTime;
+        }
         
-        gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
+        if (this.reloadTimer > 0) {
+            this.reloadTimer -= deltaTime;
+            if (this.reloadTimer <= 0) {
+                this.reloadTimer = 0;
+                this.finishReload();
+            }
+        }
         
-        source.connect(gainNode);
-        gainNode.connect(this.sfxGain);
+        // Automatic weapons keep firing while the trigger is held
+        if (this.input.isDown('fire') && WEAPONS[this.currentWeapon].automatic) {
+            this.shoot();
+        }
+    }
+    
+    shoot() {
+        if (this.isPaused || !this.gameRunning) return;
         
-        const now = this.audioContext.currentTime;
-        source.start(now);
+        const weapon = WEAPONS[this.currentWeapon];
+        const ammo = this.weaponAmmo[this.currentWeapon];
+        
+        // Respect fire rate and reloads
+        if (this.fireCooldown > 0 || this.reloadTimer > 0) return;
+        
+        if (ammo.magazine <= 0) {
+            this.startReload();
+            return;
+        }
+        
+        ammo.magazine--;
+        this.fireCooldown = 1 / (weapon.fireRate * this.stats.fireRate);
+        
+        // Play gunshot sound
+        this.playSound('gunshot', weapon.soundVolume, weapon.soundPitch * (0.9 + Math.random() * 0.2));
+        
+        const direction = new THREE.Vector3();
+        this.camera.getWorldDirection(direction);
+        
+        // Multishot fans extra copies of the shot out to either side of the aim
+        const damage = weapon.damage * this.stats.damage;
+        this.getMultishotDirections(direction).forEach(shotDirection => {
+            for (let i = 0; i < weapon.pellets; i++) {
+                this.runStats.record('shotFired');
+                const pelletDirection = this.applySpread(shotDirection, weapon.spread);
+                if (weapon.hitscan) {
+                    this.fireHitscan(pelletDirection, weapon, damage);
+                } else {
+                    this.fireProjectile(pelletDirection, weapon, damage);
+                }
+            }
+        });
+        
+        // Create muzzle flash effect
+        const muzzlePosition = this.camera.position.clone();
+        muzzlePosition.add(direction.clone().multiplyScalar(1));
+        this.createMuzzleFlash(muzzlePosition);
+        
+        // Reload automatically once the magazine is empty
+        if (ammo.magazine === 0) {
+            this.startReload();
+        }
     }
     
-    resumeAudioContext() {
-        if (this.audioContext && this.audioContext.state === 'suspended') {
-            this.audioContext.resume();
+    getMultishotDirections(direction) {
+        const directions = [direction];
+        const fanAngle = 0.08; // Radians between neighbouring shots
+        for (let i = 1; i <= this.stats.multishot; i++) {
+            const side = i % 2 === 1 ? 1 : -1;
+            const angle = side * Math.ceil(i / 2) * fanAngle;
+            directions.push(direction.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), angle));
         }
+        return directions;
     }
     
-    createFlowers() {
-        // Add colorful flowers scattered across the yellow terrain
-        const flowerColors = [
-            0xFF1744, // Red
-            0xE91E63, // Pink
-            0x9C27B0, // Purple
-            0x673AB7, // Deep Purple
-            0x3F51B5, // Indigo
-            0x2196F3, // Blue
-            0x00BCD4, // Cyan
-            0x4CAF50, // Green
-            0xFF9800, // Orange
-            0xFF5722, // Deep Orange
-        ];
+    applySpread(direction, spread) {
+        if (spread <= 0) return direction.clone();
+        
+        return direction.clone().add(new THREE.Vector3(
+            (Math.random() - 0.5) * 2 * spread,
+            (Math.random() - 0.5) * 2 * spread,
+            (Math.random() - 0.5) * 2 * spread
+        )).normalize();
+    }
+    
+    fireProjectile(direction, weapon, damage) {
+        const bulletGeometry = this.resources.geometry('bullet', () => new THREE.SphereGeometry(0.15));
+        const bulletMaterial = this.resources.material('bullet', () => new THREE.MeshBasicMaterial({ 
+            color: 0xFFFF00,
+            transparent: true,
+            opacity: 0.9
+        }));
+        const bullet = new THREE.Mesh(bulletGeometry, bulletMaterial);
         
-        for (let i = 0; i < 200; i++) { // Restored from 25 to 200
-            const flower = new THREE.Group();
-            
-            // Flower center
-            const centerGeometry = new THREE.SphereGeometry(0.08, 6, 6);
-            const centerMaterial = new THREE.MeshLambertMaterial({ color: 0xFFEB3B });
-            const center = new THREE.Mesh(centerGeometry, centerMaterial);
-            center.position.y = 0.2;
-            flower.add(center);
-            
-            // Flower petals
-            const petalColor = flowerColors[Math.floor(Math.random() * flowerColors.length)];
-            for (let j = 0; j < 5; j++) {
-                const petalGeometry = new THREE.SphereGeometry(0.15, 6, 6);
-                const petalMaterial = new THREE.MeshLambertMaterial({ color: petalColor });
-                const petal = new THREE.Mesh(petalGeometry, petalMaterial);
-                
-                const angle = (j / 5) * Math.PI * 2;
-                petal.position.set(
-                    Math.cos(angle) * 0.2,
-                    0.15,
-                    Math.sin(angle) * 0.2
-                );
-                petal.scale.set(0.8, 0.3, 0.8);
-                flower.add(petal);
-            }
-            
-            // Stem
-            const stemGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.3);
-            const stemMaterial = new THREE.MeshLambertMaterial({ color: 0x4CAF50 });
-            const stem = new THREE.Mesh(stemGeometry, stemMaterial);
-            stem.position.y = 0.05;
-            flower.add(stem);
-            
-            // Position flower on terrain
-            const x = (Math.random() - 0.5) * 90; // Restored to previous range
-            const z = (Math.random() - 0.5) * 90;
-            const height = this.getTerrainHeight(x, z);
-            
-            flower.position.set(x, height + 0.1, z); // Slightly above ground to avoid clipping
-            flower.scale.setScalar(0.8 + Math.random() * 0.4);
-            flower.rotation.y = Math.random() * Math.PI * 2;
-            
-            this.scene.add(flower);
+        // Add a glowing trail effect
+        const trailGeometry = this.resources.geometry('bulletTrail', () => new THREE.SphereGeometry(0.08));
+        const trailMaterial = this.resources.material('bulletTrail', () => new THREE.MeshBasicMaterial({
+            color: 0xFFAA00,
+            transparent: true,
+            opacity: 0.6
+        }));
+        const trail = new THREE.Mesh(trailGeometry, trailMaterial);
+        bullet.add(trail);
+        
+        bullet.position.copy(this.camera.position);
+        bullet.velocity = direction.clone().multiplyScalar(weapon.projectileSpeed);
+        bullet.damage = damage;
+        bullet.damageSource = 'bullet';
+        bullet.pierce = this.stats.pierce;
+        bullet.piercedEnemies = new Set();
+        bullet.life = 2;
+        
+        this.bullets.push(bullet);
+        this.scene.add(bullet);
+    }
+    
+    fireHitscan(direction, weapon, damage) {
+        // Instant ray - hits the first enemy mesh or obstacle along the line of fire
+        const origin = this.camera.position.clone();
+        const shot = { damageSource: 'hitscan', pierce: this.stats.pierce, piercedEnemies: new Set() };
+        const hit = this.traceShot(origin, direction, weapon.range, damage, shot);
+        if (!shot.connected) {
+            this.runStats.record('shotMissed');
         }
+        
+        const endPoint = hit ? hit.point : origin.clone().add(direction.clone().multiplyScalar(weapon.range));
+        this.createTracer(origin.clone().add(direction.clone().multiplyScalar(0.5)), endPoint);
     }
     
-    createGrassPatches() {
-        // Add varied grass patches
-        for (let i = 0; i < 150; i++) { // Restored to previous count
-            const grassPatch = new THREE.Group();
-            
-            // Create multiple grass blades per patch
-            for (let j = 0; j < 3 + Math.floor(Math.random() * 4); j++) {
-                const grassGeometry = new THREE.ConeGeometry(0.05, 0.5 + Math.random() * 0.5, 3);
-                const grassMaterial = new THREE.MeshLambertMaterial({ 
-                    color: new THREE.Color().setHSL(0.25 + Math.random() * 0.15, 0.7, 0.3 + Math.random() * 0.4)
-                });
-                
-                const grass = new THREE.Mesh(grassGeometry, grassMaterial);
-                grass.position.set(
-                    (Math.random() - 0.5) * 0.5,
-                    (0.5 + Math.random() * 0.5) / 2,
-                    (Math.random() - 0.5) * 0.5
-                );
-                grass.rotation.z = (Math.random() - 0.5) * 0.3;
-                grassPatch.add(grass);
+    traceShot(origin, direction, maxDistance, damage, shot) {
+        // Resolve every hit along a shot, passing through up to shot.pierce enemies; returns the hit that stopped it
+        let hit = this.castShot(origin, direction, maxDistance, shot.piercedEnemies);
+        while (hit) {
+            // Accuracy counts each pellet or bullet once, however many enemies it pierces
+            if (hit.enemy && !shot.connected) {
+                shot.connected = true;
+                this.runStats.record('shotHit');
             }
+            this.resolveShotHit(hit, damage, { type: shot.damageSource, direction });
+            if (!hit.enemy || hit.hitZone === 'shield' || shot.pierce <= 0) return hit;
             
-            const x = (Math.random() - 0.5) * 90; // Restored to previous range
-            const z = (Math.random() - 0.5) * 90;
-            const height = this.getTerrainHeight(x, z);
-            
-            grassPatch.position.set(x, height + 0.05, z); // Slightly above ground
-            grassPatch.rotation.y = Math.random() * Math.PI * 2;
-            
-            this.scene.add(grassPatch);
+            shot.pierce--;
+            shot.piercedEnemies.add(hit.enemy);
+            hit = this.castShot(origin, direction, maxDistance, shot.piercedEnemies);
         }
+        return null;
     }
     
-    createBushes() {
-        // Add small decorative bushes
-        for (let i = 0; i < 80; i++) { // Restored to previous count
-            const bush = new THREE.Group();
-            
-            // Main bush body - multiple spheres for organic look
-            for (let j = 0; j < 3 + Math.floor(Math.random() * 3); j++) {
-                const bushGeometry = new THREE.SphereGeometry(0.3 + Math.random() * 0.4, 8, 6);
-                const bushMaterial = new THREE.MeshLambertMaterial({ 
-                    color: new THREE.Color().setHSL(0.25 + Math.random() * 0.1, 0.6, 0.2 + Math.random() * 0.3)
-                });
-                
-                const bushPart = new THREE.Mesh(bushGeometry, bushMaterial);
-                bushPart.position.set(
-                    (Math.random() - 0.5) * 0.6,
-                    0.2 + Math.random() * 0.3,
-                    (Math.random() - 0.5) * 0.6
-                );
-                bushPart.scale.setScalar(0.7 + Math.random() * 0.6);
-                bush.add(bushPart);
-            }
-            
-            // Add some small flowers on bushes
-            if (Math.random() < 0.4) {
-                const flowerGeometry = new THREE.SphereGeometry(0.08, 6, 6);
-                const flowerMaterial = new THREE.MeshLambertMaterial({ 
-                    color: [0xFF1744, 0xE91E63, 0x9C27B0, 0x2196F3][Math.floor(Math.random() * 4)]
-                });
-                const bushFlower = new THREE.Mesh(flowerGeometry, flowerMaterial);
-                bushFlower.position.set(
-                    (Math.random() - 0.5) * 0.8,
-                    0.4 + Math.random() * 0.4,
-                    (Math.random() - 0.5) * 0.8
-                );
-                bush.add(bushFlower);
-            }
-            
-            const x = (Math.random() - 0.5) * 90; // Restored to previous range
-            const z = (Math.random() - 0.5) * 90;
-            const height = this.getTerrainHeight(x, z);
-            
-            bush.position.set(x, height + 0.2, z); // Proper ground positioning
-            bush.scale.setScalar(0.8 + Math.random() * 0.4);
-            
-            this.scene.add(bush);
+    castShot(origin, direction, maxDistance, ignoredEnemies = null) {
+        // Raycast against the hit meshes of enemies near the line of fire plus static obstacles
+        this.raycaster.set(origin, direction);
+        this.raycaster.near = 0;
+        this.raycaster.far = maxDistance;
+        
+        const targets = this.bulletBlockers.slice();
+        const endX = origin.x + direction.x * maxDistance;
+        const endZ = origin.z + direction.z * maxDistance;
+        
+        // Padding covers shield plates and capsule caps that reach past the steering radius
+        this.enemyHash.querySegment(origin.x, origin.z, endX, endZ, 0.5).forEach(enemy => {
+            if (ignoredEnemies && ignoredEnemies.has(enemy)) return;
+            targets.push(...enemy.hitMeshes);
+        });
+        
+        const intersection = this.raycaster.intersectObjects(targets, false)[0];
+        if (!intersection) return null;
+        
+        const enemy = intersection.object.userData.enemy || null;
+        const hitZone = intersection.object.userData.hitZone || 'body';
+        let headshot = false;
+        if (enemy && hitZone !== 'shield') {
+            const localPoint = enemy.worldToLocal(intersection.point.clone());
+            headshot = intersection.object.userData.hitZone === 'head' || localPoint.y >= enemy.headHeight;
         }
+        
+        return {
+            enemy,
+            point: intersection.point,
+            distance: intersection.distance,
+            hitZone,
+            headshot
+        };
     }
     
-    createRocks() {
-        // Add rocks for terrain detail
-        for (let i = 0; i < 15; i++) { // Restored to previous count
-            const rockGeometry = new THREE.DodecahedronGeometry(0.5 + Math.random() * 1);
-            const rockMaterial = new THREE.MeshLambertMaterial({ 
-                color: new THREE.Color().setHSL(0.08, 0.2, 0.4 + Math.random() * 0.3)
-            });
-            
-            const rock = new THREE.Mesh(rockGeometry, rockMaterial);
-            
-            const x = (Math.random() - 0.5) * 90; // Restored to previous range
-            const z = (Math.random() - 0.5) * 90;
-            const height = this.getTerrainHeight(x, z);
-            
-            rock.position.set(x, height + 0.25, z); // Position rock properly on terrain
-            rock.scale.setScalar(0.5 + Math.random() * 0.8);
-            rock.rotation.set(
-                Math.random() * Math.PI,
-                Math.random() * Math.PI,
-                Math.random() * Math.PI
-            );
-            rock.castShadow = true;
-            
-            this.scene.add(rock);
+    resolveShotHit(hit, damage, source) {
+        if (hit.hitZone === 'shield') {
+            // Shield plate soaks the shot
+            this.createImpactEffect(hit.point);
+            this.playSound('hit', 0.3, 2.0);
+        } else if (hit.enemy) {
+            this.damageEnemy(hit.enemy, damage, { ...source, point: hit.point, headshot: hit.headshot });
+        } else {
+            // Bullet stopped by terrain or a tree
+            this.createImpactEffect(hit.point);
         }
     }
     
-    getTerrainHeight(x, z) {
-        // Approximate the terrain height calculation for object placement
-        const nx = x / 100; // Restored to previous terrain size
-        const nz = z / 100;
-        
-        // Create gentle rolling hills (matching createDiverseTerrain)
-        let height = 0;
-        height += Math.sin(nx * 3) * Math.cos(nz * 3) * 2;  // Large rolling hills
-        height += Math.sin(nx * 6) * Math.cos(nz * 6) * 1;  // Medium hills
-        height += Math.sin(nx * 12) * Math.cos(nz * 12) * 0.3; // Small variations
+    createTracer(start, end) {
+        // Short-lived line showing the path of a hitscan shot
+        const tracerGroup = new THREE.Group();
+        const tracerGeometry = new THREE.BufferGeometry().setFromPoints([start, end]);
+        const tracerMaterial = new THREE.LineBasicMaterial({
+            color: 0xFFEEAA,
+            transparent: true,
+            opacity: 1.0
+        });
+        tracerGroup.add(new THREE.Line(tracerGeometry, tracerMaterial));
         
-        // Create some flat plains areas
-        const plainNoise = Math.sin(nx * 4) * Math.cos(nz * 4);
-        if (Math.abs(plainNoise) < 0.3) {
-            height *= 0.2; // Flatten for plains
-        }
+        tracerGroup.life = 0.08;
+        tracerGroup.maxLife = tracerGroup.life;
         
-        return height;
+        this.muzzleFlashes.push(tracerGroup);
+        this.scene.add(tracerGroup);
     }
     
-    checkBoundaries(position) {
-        // Check if position is within world bounds and enforce air walls
-        let bounded = false;
+    levelUpPassive(id) {
+        const passive = this.passiveWeapons[id] || (this.passiveWeapons[id] = { level: 0, cooldown: 1, tickTimer: 0 });
+        passive.level = Math.min(passive.level + 1, PASSIVE_WEAPONS[id].levels.length);
         
-        if (position.x < this.worldBounds.minX) {
-            position.x = this.worldBounds.minX;
-            bounded = true;
-        }
-        if (position.x > this.worldBounds.maxX) {
-            position.x = this.worldBounds.maxX;
-            bounded = true;
+        if (id === 'blades') {
+            this.buildBlades(PASSIVE_WEAPONS.blades.levels[passive.level - 1]);
         }
-        if (position.z < this.worldBounds.minZ) {
-            position.z = this.worldBounds.minZ;
-            bounded = true;
+    }
+    
+    updatePassiveWeapons(deltaTime) {
+        Object.entries(this.passiveWeapons).forEach(([id, passive]) => {
+            const stats = PASSIVE_WEAPONS[id].levels[passive.level - 1];
+            passive.cooldown -= deltaTime;
+            
+            switch (id) {
+                case 'blades':
+                    this.updateBlades(stats, deltaTime);
+                    break;
+                case 'shockwave':
+                    if (passive.cooldown <= 0) {
+                        passive.cooldown = stats.cooldown;
+                        this.emitShockwave(stats);
+                    }
+                    break;
+                case 'lightning':
+                    // Hold the charge until something is in range
+                    if (passive.cooldown <= 0 && this.castChainLightning(stats)) {
+                        passive.cooldown = stats.cooldown;
+                    }
+                    break;
+                case 'lantern':
+                    passive.tickTimer += deltaTime;
+                    while (passive.tickTimer >= PASSIVE_WEAPONS.lantern.tickInterval) {
+                        passive.tickTimer -= PASSIVE_WEAPONS.lantern.tickInterval;
+                        this.burnLanternCone(stats);
+                    }
+                    break;
+            }
+        });
+        
+        this.updateShockwaves(deltaTime);
+    }
+    
+    buildBlades(stats) {
+        // Rebuilt on every level so the blade count matches
+        if (this.bladeGroup) {
+            this.resources.release(this.bladeGroup);
         }
-        if (position.z > this.worldBounds.maxZ) {
-            position.z = this.worldBounds.maxZ;
-            bounded = true;
+        
+        this.bladeGroup = new THREE.Group();
+        this.bladeGroup.spin = 0;
+        const bladeGeometry = this.resources.geometry('blade', () => new THREE.BoxGeometry(0.9, 0.06, 0.25));
+        const bladeMaterial = this.resources.material('blade', () => new THREE.MeshBasicMaterial({ color: 0xCCEEFF, transparent: true, opacity: 0.9 }));
+        
+        for (let i = 0; i < stats.count; i++) {
+            const angle = (i / stats.count) * Math.PI * 2;
+            const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
+            blade.position.set(Math.cos(angle) * stats.radius, 0, Math.sin(angle) * stats.radius);
+            blade.rotation.y = -angle; // Long edge along the orbit
+            this.bladeGroup.add(blade);
         }
         
-        return bounded;
+        this.bladeGroup.position.copy(this.player.position);
+        this.bladeGroup.position.y -= 0.8;
+        this.scene.add(this.bladeGroup);
     }
     
-    createTrees() {
-        // Add Ghibli-style trees
-        for (let i = 0; i < 25; i++) { // Restored to previous count
-            const tree = new THREE.Group();
-            
-            // Trunk
-            const trunkGeometry = new THREE.CylinderGeometry(0.3, 0.5, 4);
-            const trunkMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
-            const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-            trunk.position.y = 2;
-            trunk.castShadow = true;
-            tree.add(trunk);
-            
-            // Leaves - fluffy Ghibli style
-            const leavesGeometry = new THREE.SphereGeometry(3, 8, 6);
-            const leavesMaterial = new THREE.MeshLambertMaterial({ color: 0x228B22 });
-            const leaves = new THREE.Mesh(leavesGeometry, leavesMaterial);
-            leaves.position.y = 5;
-            leaves.castShadow = true;
-            tree.add(leaves);
-            
-            // Position in world
-            const x = (Math.random() - 0.5) * 90; // Restored to previous range
-            const z = (Math.random() - 0.5) * 90;
-            const height = this.getTerrainHeight(x, z);
-            tree.position.set(x, height, z); // Trees positioned properly on terrain
-            tree.scale.setScalar(0.8 + Math.random() * 0.4);
-            
-            this.scene.add(tree);
+    updateBlades(stats, deltaTime) {
+        const group = this.bladeGroup;
+        group.spin += stats.spinSpeed * deltaTime;
+        group.rotation.y = -group.spin;
+        group.position.copy(this.player.position);
+        group.position.y -= 0.8;
+        
+        const damage = stats.damage * this.stats.damage;
+        const hitCooldown = PASSIVE_WEAPONS.blades.hitCooldown;
+        const candidates = this.enemyHash.query(group.position.x, group.position.z, stats.radius + 2);
+        
+        for (let i = 0; i < stats.count; i++) {
+            const angle = (i / stats.count) * Math.PI * 2 + group.spin;
+            const bladeX = group.position.x + Math.cos(angle) * stats.radius;
+            const bladeZ = group.position.z + Math.sin(angle) * stats.radius;
+            
+            candidates.forEach(enemy => {
+                if (enemy.health <= 0) return;
+                if (enemy.lastBladeHit !== undefined && this.gameTime - enemy.lastBladeHit < hitCooldown) return;
+                
+                const reach = ENEMY_TYPES[enemy.enemyType].radius + 0.5;
+                const dx = enemy.position.x - bladeX;
+                const dz = enemy.position.z - bladeZ;
+                if (dx * dx + dz * dz < reach * reach) {
+                    enemy.lastBladeHit = this.gameTime;
+                    this.damageEnemy(enemy, damage, { type: 'blades', point: new THREE.Vector3(bladeX, enemy.position.y, bladeZ) });
+                }
+            });
         }
     }
     
-    startGame() {
-        this.gameTime = 0;
-        this.health = 100;
-        this.score = 0;
-        this.gameRunning = true;
-        this.updateUI();
-        
-        // Start enemy spawning
-        this.spawnEnemies();
+    emitShockwave(stats) {
+        // Flat ring on the ground that grows outwards, hitting each enemy once as it passes
+        const ringGeometry = this.resources.geometry('shockwave', () => new THREE.RingGeometry(0.85, 1, 48));
+        const ringMaterial = new THREE.MeshBasicMaterial({
+            color: 0x99DDFF,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide
+        });
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.set(this.player.position.x, this.player.position.y - this.player.eyeHeight + 0.3, this.player.position.z);
+        
+        ring.radius = 0.5;
+        ring.maxRadius = stats.radius;
+        ring.expandSpeed = stats.expandSpeed;
+        ring.damage = stats.damage * this.stats.damage;
+        ring.hitEnemies = new Set();
+        ring.scale.setScalar(ring.radius);
+        
+        this.shockwaves.push(ring);
+        this.scene.add(ring);
+        this.playSound('explosion', 0.3, 1.6);
     }
     
-    togglePause() {
-        this.isPaused = !this.isPaused;
-        if (this.isPaused) {
-            document.exitPointerLock();
-        } else {
-            this.renderer.domElement.requestPointerLock();
+    updateShockwaves(deltaTime) {
+        for (let i = this.shockwaves.length - 1; i >= 0; i--) {
+            const ring = this.shockwaves[i];
+            ring.radius = Math.min(ring.maxRadius, ring.radius + ring.expandSpeed * deltaTime);
+            ring.scale.setScalar(ring.radius);
+            ring.material.opacity = 0.8 * (1 - ring.radius / ring.maxRadius) + 0.1;
+            
+            this.enemyHash.query(ring.position.x, ring.position.z, ring.radius).forEach(enemy => {
+                if (enemy.health <= 0 || ring.hitEnemies.has(enemy)) return;
+                
+                const dx = enemy.position.x - ring.position.x;
+                const dz = enemy.position.z - ring.position.z;
+                if (Math.sqrt(dx * dx + dz * dz) - ENEMY_TYPES[enemy.enemyType].radius <= ring.radius) {
+                    ring.hitEnemies.add(enemy);
+                    this.damageEnemy(enemy, ring.damage, { type: 'shockwave', origin: ring.position });
+                }
+            });
+            
+            if (ring.radius >= ring.maxRadius) {
+                this.resources.release(ring);
+                this.shockwaves.splice(i, 1);
+            }
         }
     }
     
-    updatePlayer(deltaTime) {
-        if (this.isPaused || !this.gameRunning) return;
+    castChainLightning(stats) {
+        // First target is the closest enemy to the player, then each hop jumps to the closest enemy not yet struck
+        const struck = [];
+        let from = this.player.position;
+        let range = stats.range;
+        
+        for (let hop = 0; hop < stats.chains; hop++) {
+            const nearest = this.enemyHash.nearest(from.x, from.z, range, enemy => !struck.includes(enemy));
+            if (!nearest) break;
+            struck.push(nearest);
+            from = nearest.position;
+            range = stats.hopRange;
+        }
         
-        // Mouse look
-        this.player.rotation.y = -this.mouse.x;
-        this.player.rotation.x = -this.mouse.y;
+        if (struck.length === 0) return false;
+        
+        // Draw the whole chain before damage is applied, since kills remove enemies
+        let start = this.player.position.clone();
+        start.y -= 0.3;
+        struck.forEach(enemy => {
+            const end = enemy.position.clone();
+            this.createLightningBolt(start, end);
+            start = end;
+        });
+        
+        let damage = stats.damage * this.stats.damage;
+        struck.forEach(enemy => {
+            this.damageEnemy(enemy, damage, { type: 'lightning' });
+            damage *= PASSIVE_WEAPONS.lightning.hopFalloff;
+        });
+        
+        this.playSound('hit', 0.4, 2.2);
+        return true;
+    }
+    
+    createLightningBolt(start, end) {
+        // Jagged line between two points, faded out with the muzzle flashes
+        const points = [start.clone()];
+        const segments = 6;
+        for (let i = 1; i < segments; i++) {
+            const point = start.clone().lerp(end, i / segments);
+            point.x += (Math.random() - 0.5) * 0.6;
+            point.y += (Math.random() - 0.5) * 0.6;
+            point.z += (Math.random() - 0.5) * 0.6;
+            points.push(point);
+        }
+        points.push(end.clone());
+        
+        const boltGroup = new THREE.Group();
+        const boltGeometry = new THREE.BufferGeometry().setFromPoints(points);
+        const boltMaterial = new THREE.LineBasicMaterial({
+            color: 0xAADDFF,
+            transparent: true,
+            opacity: 1.0
+        });
+        boltGroup.add(new THREE.Line(boltGeometry, boltMaterial));
         
-        // Movement
-        const moveVector = new THREE.Vector3();
-        if (this.keys['KeyW']) moveVector.z -= 1;
-        if (this.keys['KeyS']) moveVector.z += 1;
-        if (this.keys['KeyA']) moveVector.x -= 1;
-        if (this.keys['KeyD']) moveVector.x += 1;
+        boltGroup.life = 0.15;
+        boltGroup.maxLife = boltGroup.life;
         
-        if (moveVector.length() > 0) {
-            moveVector.normalize();
-            moveVector.multiplyScalar(this.player.speed * deltaTime);
+        this.muzzleFlashes.push(boltGroup);
+        this.scene.add(boltGroup);
+    }
+    
+    burnLanternCone(stats) {
+        // Everything inside the player's spotlight cone, up to the lantern's range, takes a tick of damage
+        const light = this.playerLight;
+        const lightDirection = light.target.position.clone().sub(light.position).normalize();
+        const cosAngle = Math.cos(light.angle);
+        const range = Math.min(stats.range, light.distance);
+        const damage = stats.damage * PASSIVE_WEAPONS.lantern.tickInterval * this.stats.damage;
+        
+        this.enemyHash.query(light.position.x, light.position.z, range).forEach(enemy => {
+            if (enemy.health <= 0) return;
+            
+            const toEnemy = enemy.position.clone().sub(light.position);
+            const distance = toEnemy.length();
+            if (distance > range || distance < 0.001) return;
+            
+            if (toEnemy.divideScalar(distance).dot(lightDirection) >= cosAngle) {
+                this.damageEnemy(enemy, damage, { type: 'lantern' });
+            }
+        });
+    }
+    
+    updateEnemies(deltaTime) {
+        // Walk a snapshot - kills, detonations and splits can change this.enemies at any point in the step
+        for (const enemy of this.enemies.slice()) {
+            if (!this.enemyHash.has(enemy)) continue; // Removed earlier in this step
+            const definition = ENEMY_TYPES[enemy.enemyType];
             
-            // Apply rotation to movement
-            const quaternion = new THREE.Quaternion();
-            quaternion.setFromEuler(new THREE.Euler(0, this.player.rotation.y, 0));
-            moveVector.applyQuaternion(quaternion);
+            // Update eye glow animation for all enemies
+            if (enemy.leftEye && enemy.rightEye && enemy.leftEyeGlow && enemy.rightEyeGlow) {
+                enemy.eyeTime += deltaTime * 3; // Eye pulse speed
+                
+                // Pulsing glow effect
+                const glowIntensity = 0.2 + 0.3 * Math.sin(enemy.eyeTime);
+                enemy.leftEyeGlow.material.opacity = glowIntensity;
+                enemy.rightEyeGlow.material.opacity = glowIntensity;
+                
+                // Main eye brightness variation
+                const eyeIntensity = 0.8 + 0.2 * Math.sin(enemy.eyeTime * 1.5);
+                enemy.leftEye.material.opacity = eyeIntensity;
+                enemy.rightEye.material.opacity = eyeIntensity;
+            }
+            
+            // Update pulsing glow for giant enemies
+            if (enemy.bodyGlow) {
+                enemy.glowTime += deltaTime * 2;
+                enemy.bodyGlow.material.opacity = 0.05 + 0.05 * Math.sin(enemy.glowTime);
+            }
             
-            this.player.position.add(moveVector);
+            // Update health bar for giant enemies
+            if (enemy.healthBar) {
+                this.updateGiantHealthBar(enemy);
+            }
             
-            // Enforce air wall boundaries for player
-            this.checkBoundaries(this.player.position);
+            // Fade the hit flash back to the body colour
+            if (enemy.flashTimer > 0) {
+                enemy.flashTimer -= deltaTime;
+                if (enemy.flashTimer <= 0) {
+                    this.setEnemyFlash(enemy, false);
+                }
+            }
+            
+            // Behavior decides how the enemy moves this step (and may remove it, e.g. exploders)
+            const direction = this.getEnemyMovement(enemy, definition, deltaTime);
+            if (!this.enemyHash.has(enemy)) continue;
+            
+            // Spread out from neighbours and route around props
+            this.applySteering(enemy, definition, direction, deltaTime);
+            enemy.position.add(direction);
+            
+            // Knockback slides the enemy and dies away quickly
+            if (enemy.knockback) {
+                enemy.position.addScaledVector(enemy.knockback, deltaTime);
+                enemy.knockback.multiplyScalar(Math.exp(-8 * deltaTime));
+                if (enemy.knockback.lengthSq() < 0.01) enemy.knockback = null;
+            }
+            this.resolveStaticCollisions(enemy.position, definition.radius);
+            
+            // Face the player - eyes, spitter mouths and shield plates all point along local +Z
+            const toPlayerX = this.player.position.x - enemy.position.x;
+            const toPlayerZ = this.player.position.z - enemy.position.z;
+            enemy.rotation.y = Math.atan2(toPlayerX, toPlayerZ);
             
-            // Keep player on terrain surface
-            const terrainHeight = this.getTerrainHeight(this.player.position.x, this.player.position.z);
-            this.player.position.y = terrainHeight + 1.7;
+            // Enforce air wall boundaries for enemies
+            this.checkBoundaries(enemy.position);
+            
+            // Keep enemies on terrain surface
+            const terrainHeight = this.getTerrainHeight(enemy.position.x, enemy.position.z);
+            enemy.position.y = terrainHeight + definition.hoverHeight;
             
-            // Create footstep dust when moving
-            this.createFootstepDust(this.player.position);
+            // Keep world matrices current so this frame's shot raycasts hit where the enemy is drawn
+            enemy.updateMatrixWorld(true);
+            this.enemyHash.update(enemy, enemy.position.x, enemy.position.z);
         }
         
-        // Update camera - Fix FPS camera rotation order
-        this.camera.position.copy(this.player.position);
-        this.camera.rotation.order = 'YXZ'; // Set rotation order for proper FPS controls
-        this.camera.rotation.set(this.player.rotation.x, this.player.rotation.y, 0);
-        
-        // Update player's light to follow player and aim where they're looking
-        if (this.playerLight) {
-            this.playerLight.position.copy(this.player.position);
-            this.playerLight.position.y += 0.5; // Slightly above player
-            
-            // Make light point in the direction the player is looking
-            const direction = new THREE.Vector3();
-            this.camera.getWorldDirection(direction);
-            this.playerLight.target.position.copy(this.player.position).add(direction.multiplyScalar(10));
+        this.checkEnemyContacts();
+    }
+    
+    checkEnemyContacts() {
+        // Only enemies in the grid cells around the player can be touching them
+        const position = this.player.position;
+        const candidates = this.enemyHash.queryRadius(position.x, position.z, this.maxContactRange);
+        
+        for (const enemy of candidates) {
+            // Enemies touching the player during i-frames keep pressing instead of spending themselves
+            if (this.player.invulnerableTimer > 0) break;
+            
+            const definition = ENEMY_TYPES[enemy.enemyType];
+            if (enemy.health > 0 && enemy.position.distanceTo(position) < definition.contactRange) {
+                this.takeDamage(definition.damage, enemy.position);
+                this.damageEnemy(enemy, enemy.health, { type: 'contact' });
+            }
         }
     }
     
-    spawnEnemies() {
-        const spawnEnemy = () => {
-            if (!this.gameRunning || this.isPaused) {
-                // Reschedule even if paused to maintain spawning
-                setTimeout(spawnEnemy, this.getCurrentSpawnInterval());
-                return;
+    getEnemyMovement(enemy, definition, deltaTime) {
+        const toPlayer = new THREE.Vector3().subVectors(this.player.position, enemy.position);
+        toPlayer.y = 0;
+        const distance = toPlayer.length();
+        toPlayer.normalize();
+        
+        const movement = new THREE.Vector3();
+        
+        switch (definition.behavior) {
+            case 'flank': {
+                // Circle the player at a distance before committing to a charge
+                if (!enemy.behaviorState) {
+                    enemy.behaviorState = 'circling';
+                    enemy.behaviorTimer = definition.circleTime;
+                    enemy.circleDirection = this.spawnRandom() < 0.5 ? 1 : -1;
+                }
+                
+                if (enemy.behaviorState === 'circling') {
+                    const tangent = new THREE.Vector3(-toPlayer.z, 0, toPlayer.x).multiplyScalar(enemy.circleDirection);
+                    const radialError = (distance - definition.circleRadius) / definition.circleRadius;
+                    movement.copy(tangent).addScaledVector(toPlayer, THREE.MathUtils.clamp(radialError * 2, -1, 1)).normalize();
+                    movement.multiplyScalar(enemy.speed * deltaTime);
+                    
+                    // Only start the countdown once on the orbit
+                    if (Math.abs(distance - definition.circleRadius) < 3) {
+                        enemy.behaviorTimer -= deltaTime;
+                    }
+                    if (enemy.behaviorTimer <= 0) {
+                        enemy.behaviorState = 'charging';
+                    }
+                } else {
+                    movement.copy(toPlayer).multiplyScalar(enemy.speed * definition.chargeMultiplier * deltaTime);
+                }
+                break;
+            }
+            
+            case 'ranged': {
+                // Hold at preferred range, strafing slowly, and spit at the player
+                const rangeError = distance - definition.preferredRange;
+                if (Math.abs(rangeError) > 2) {
+                    movement.copy(toPlayer).multiplyScalar(Math.sign(rangeError));
+                } else {
+                    movement.set(-toPlayer.z, 0, toPlayer.x).multiplyScalar(0.4);
+                }
+                movement.multiplyScalar(enemy.speed * deltaTime);
+                
+                enemy.behaviorTimer -= deltaTime;
+                if (enemy.behaviorTimer <= 0 && distance < definition.preferredRange + 6) {
+                    this.fireEnemyProjectile(enemy, definition);
+                    enemy.behaviorTimer = definition.fireInterval;
+                }
+                break;
             }
             
-            const enemy = this.createEnemy();
-            this.enemies.push(enemy);
+            case 'explode': {
+                // Rush in, stop when close and light the fuse
+                if (enemy.behaviorState !== 'fuse') {
+                    movement.copy(toPlayer).multiplyScalar(enemy.speed * deltaTime);
+                    if (distance < definition.fuseRange) {
+                        enemy.behaviorState = 'fuse';
+                        enemy.behaviorTimer = definition.fuseTime;
+                    }
+                } else {
+                    enemy.behaviorTimer -= deltaTime;
+                    const fuseProgress = 1 - enemy.behaviorTimer / definition.fuseTime;
+                    enemy.fuseGlow.material.opacity = 0.2 + 0.5 * fuseProgress * (0.5 + 0.5 * Math.sin(fuseProgress * 40));
+                    enemy.fuseGlow.scale.setScalar(1 + fuseProgress * 0.5);
+                    
+                    if (enemy.behaviorTimer <= 0) {
+                        this.detonateExploder(enemy, definition);
+                    }
+                }
+                break;
+            }
             
-            // Schedule next enemy spawn with current difficulty
-            setTimeout(spawnEnemy, this.getCurrentSpawnInterval());
-        };
+            default:
+                // Chase - walk straight at the player
+                movement.copy(toPlayer).multiplyScalar(enemy.speed * deltaTime);
+        }
         
-        // Start spawning
-        setTimeout(spawnEnemy, this.getCurrentSpawnInterval());
+        return movement;
     }
     
-    getCurrentSpawnInterval() {
-        // Calculate difficulty multiplier based on minutes elapsed
-        const minutesElapsed = Math.floor(this.gameTime / 60);
-        const spawnRateMultiplier = Math.pow(1.2, minutesElapsed); // 20% increase per minute
+    applySteering(enemy, definition, movement, deltaTime) {
+        // Separation - push away from neighbours whose bodies overlap ours, even when standing still
+        const separation = new THREE.Vector3();
+        const neighbours = this.enemyHash.query(enemy.position.x, enemy.position.z, definition.radius + 2);
+        neighbours.forEach(other => {
+            if (other === enemy) return;
+            
+            const dx = enemy.position.x - other.position.x;
+            const dz = enemy.position.z - other.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            const minDistance = definition.radius + ENEMY_TYPES[other.enemyType].radius + 0.3;
+            
+            if (distance > 0.0001 && distance < minDistance) {
+                const strength = (minDistance - distance) / minDistance;
+                separation.x += (dx / distance) * strength;
+                separation.z += (dz / distance) * strength;
+            }
+        });
         
-        // Decrease interval (increase spawn rate) - minimum interval of 200ms
-        return Math.max(200, this.baseSpawnInterval / spawnRateMultiplier);
+        const stepLength = movement.length();
+        if (stepLength > 0) {
+            movement.copy(this.avoidObstacles(enemy, definition, movement.divideScalar(stepLength)).multiplyScalar(stepLength));
+        }
+        movement.addScaledVector(separation, this.steering.separation * deltaTime);
     }
     
-    getCurrentEnemySpeed() {
-        // Calculate speed multiplier based on minutes elapsed
-        const minutesElapsed = Math.floor(this.gameTime / 60);
-        const speedMultiplier = Math.pow(1.2, minutesElapsed); // 20% increase per minute
+    avoidObstacles(enemy, definition, seek) {
+        // Obstacle avoidance - steer sideways around props in our path
+        const lookAhead = this.steering.lookAhead + definition.radius;
+        const steer = seek.clone();
+        const nearby = this.colliderHash.query(enemy.position.x, enemy.position.z, lookAhead + 2);
+        nearby.forEach(collider => {
+            const toColliderX = collider.x - enemy.position.x;
+            const toColliderZ = collider.z - enemy.position.z;
+            const ahead = toColliderX * seek.x + toColliderZ * seek.z;
+            if (ahead <= 0 || ahead > lookAhead + collider.radius) return;
+            
+            // Lateral offset of the prop from our heading (positive = to our right)
+            const lateral = toColliderX * -seek.z + toColliderZ * seek.x;
+            const clearance = collider.radius + definition.radius + 0.2;
+            if (Math.abs(lateral) >= clearance) return;
+            
+            // Steer to the side with more room, harder the closer the prop is
+            const side = lateral >= 0 ? -1 : 1;
+            const urgency = (1 - ahead / (lookAhead + collider.radius)) * (1 - Math.abs(lateral) / clearance);
+            steer.x += -seek.z * side * urgency * this.steering.avoidance;
+            steer.z += seek.x * side * urgency * this.steering.avoidance;
+        });
         
-        return this.baseEnemySpeed * speedMultiplier;
+        steer.y = 0;
+        return steer.lengthSq() > 0.0001 ? steer.normalize() : seek;
     }
     
-    createEnemy() {
-        // Create pill-shaped enemy with green lower body and white upper body
-        const enemyGroup = new THREE.Group();
-        
-        // Lower body (green pill shape)
-        const lowerBodyGeometry = new THREE.CapsuleGeometry(0.5, 1.0, 4, 8);
-        const lowerBodyMaterial = new THREE.MeshLambertMaterial({ color: 0x00AA00 }); // Green
-        const lowerBody = new THREE.Mesh(lowerBodyGeometry, lowerBodyMaterial);
-        lowerBody.position.y = -0.5;
-        enemyGroup.add(lowerBody);
+    detonateExploder(enemy, definition) {
+        // Damage falls off with distance from the blast
+        const distance = enemy.position.distanceTo(this.player.position);
+        if (distance < definition.blastRadius) {
+            const falloff = 1 - distance / definition.blastRadius;
+            this.takeDamage(Math.ceil(definition.damage * (0.4 + 0.6 * falloff)), enemy.position);
+        }
         
-        // Upper body (white pill shape)
-        const upperBodyGeometry = new THREE.CapsuleGeometry(0.5, 1.0, 4, 8);
-        const upperBodyMaterial = new THREE.MeshLambertMaterial({ color: 0xFFFFFF }); // White
-        const upperBody = new THREE.Mesh(upperBodyGeometry, upperBodyMaterial);
-        upperBody.position.y = 0.5;
-        enemyGroup.add(upperBody);
-
-        // Add red glowing eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.08, 8, 8);
+        this.damageEnemy(enemy, enemy.health, { type: 'detonation' }); // Its death plays the explosion
         
-        // Left eye
-        const leftEyeMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xFF0000,
-            transparent: true,
-            opacity: 0.9
-        });
-        const leftEye = new THREE.Mesh(eyeGeometry, leftEyeMaterial);
-        leftEye.position.set(-0.2, 0.8, 0.4);
-        enemyGroup.add(leftEye);
-
-        // Left eye glow
-        const leftEyeGlowGeometry = new THREE.SphereGeometry(0.12, 8, 8);
-        const leftEyeGlowMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFF0000,
-            transparent: true,
-            opacity: 0.3
+        // The blast also catches other enemies nearby
+        this.enemies.slice().forEach(other => {
+            if (other.health <= 0) return;
+            const otherDistance = other.position.distanceTo(enemy.position);
+            if (otherDistance < definition.blastRadius) {
+                const otherFalloff = 1 - otherDistance / definition.blastRadius;
+                this.damageEnemy(other, definition.damage * 2 * otherFalloff, { type: 'explosion', origin: enemy.position });
+            }
         });
-        const leftEyeGlow = new THREE.Mesh(leftEyeGlowGeometry, leftEyeGlowMaterial);
-        leftEyeGlow.position.set(-0.2, 0.8, 0.4);
-        enemyGroup.add(leftEyeGlow);
-
-        // Right eye
-        const rightEyeMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xFF0000,
+    }
+    
+    splitEnemy(enemy, definition) {
+        // Burst into smaller pills around the death position
+        for (let i = 0; i < definition.splitCount; i++) {
+            const angle = (i / definition.splitCount) * Math.PI * 2;
+            const position = enemy.position.clone();
+            position.x += Math.cos(angle) * 1.2;
+            position.z += Math.sin(angle) * 1.2;
+            this.spawnEnemy(definition.splitInto, position);
+        }
+    }
+    
+    fireEnemyProjectile(enemy, definition) {
+        const projectileGeometry = this.resources.geometry('enemyProjectile', () => new THREE.SphereGeometry(0.25, 8, 8));
+        const projectileMaterial = this.resources.material('enemyProjectile', () => new THREE.MeshBasicMaterial({
+            color: 0x66FF33,
             transparent: true,
             opacity: 0.9
+        }));
+        const projectile = new THREE.Mesh(projectileGeometry, projectileMaterial);
+        
+        // Launch from the mouth, aimed at the player's chest
+        projectile.position.copy(enemy.mouth.getWorldPosition(new THREE.Vector3()));
+        const target = this.player.position.clone();
+        target.y -= 0.4;
+        projectile.velocity = target.sub(projectile.position).normalize().multiplyScalar(definition.projectileSpeed);
+        projectile.damage = definition.projectileDamage;
+        projectile.life = 4;
+        
+        this.enemyProjectiles.push(projectile);
+        this.scene.add(projectile);
+    }
+    
+    updateEnemyProjectiles(deltaTime) {
+        for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
+            const projectile = this.enemyProjectiles[i];
+            projectile.position.addScaledVector(projectile.velocity, deltaTime);
+            projectile.life -= deltaTime;
+            
+            if (projectile.position.distanceTo(this.player.position) < 0.9) {
+                this.takeDamage(projectile.damage, projectile.position.clone().sub(projectile.velocity));
+                this.removeEnemyProjectile(i);
+            } else if (projectile.life <= 0 ||
+                projectile.position.y < this.getTerrainHeight(projectile.position.x, projectile.position.z) ||
+                this.isInsideStaticCollider(projectile.position)) {
+                this.removeEnemyProjectile(i);
+            }
+        }
+    }
+    
+    removeEnemyProjectile(index) {
+        if (this.enemyProjectiles[index]) {
+            this.resources.release(this.enemyProjectiles[index]);
+            this.enemyProjectiles.splice(index, 1);
+        }
+    }
+    
+    updateBullets(deltaTime) {
+        for (let i = this.bullets.length - 1; i >= 0; i--) {
+            const bullet = this.bullets[i];
+            
+            // Sweep the segment travelled this frame so fast bullets can't tunnel through targets
+            const travel = bullet.velocity.clone().multiplyScalar(deltaTime);
+            const travelDistance = travel.length();
+            const hit = this.traceShot(bullet.position, travel.normalize(), travelDistance, bullet.damage, bullet);
+            
+            if (hit) {
+                if (!bullet.connected) this.runStats.record('shotMissed');
+                this.removeBullet(i);
+                continue;
+            }
+            
+            bullet.position.add(bullet.velocity.clone().multiplyScalar(deltaTime));
+            bullet.life -= deltaTime;
+            
+            // Remove old bullets
+            if (bullet.life <= 0) {
+                if (!bullet.connected) this.runStats.record('shotMissed');
+                this.removeBullet(i);
+            }
+        }
+    }
+    
+    damageEnemy(enemy, amount, source) {
+        // Single path for all damage to enemies - source is { type, point?, headshot?, direction?, origin? }
+        if (enemy.health <= 0) return;
+        
+        const sourceType = DAMAGE_SOURCES[source.type];
+        const definition = ENEMY_TYPES[enemy.enemyType];
+        const hitPoint = source.point || enemy.position;
+        
+        // Damage boost power-up and headshots multiply the player's damage
+        let damageMultiplier = this.activePowerUps.damageBoost && sourceType.fromPlayer ? 2 : 1;
+        if (source.headshot) {
+            damageMultiplier *= this.headshotMultiplier;
+            this.score += this.headshotBonusScore;
+        }
+        const damage = amount * damageMultiplier;
+        const dealt = Math.min(damage, enemy.health);
+        enemy.health -= damage;
+        
+        this.runStats.record('enemyDamaged', {
+            source: source.type,
+            amount: dealt,
+            fromPlayer: sourceType.fromPlayer,
+            headshot: !!source.headshot
         });
-        const rightEye = new THREE.Mesh(eyeGeometry, rightEyeMaterial);
-        rightEye.position.set(0.2, 0.8, 0.4);
-        enemyGroup.add(rightEye);
-
-        // Right eye glow
-        const rightEyeGlowGeometry = new THREE.SphereGeometry(0.12, 8, 8);
-        const rightEyeGlowMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFF0000,
-            transparent: true,
-            opacity: 0.3
-        });
-        const rightEyeGlow = new THREE.Mesh(rightEyeGlowGeometry, rightEyeGlowMaterial);
-        rightEyeGlow.position.set(0.2, 0.8, 0.4);
-        enemyGroup.add(rightEyeGlow);
-
-        // Store references for animation
-        enemyGroup.leftEye = leftEye;
-        enemyGroup.rightEye = rightEye;
-        enemyGroup.leftEyeGlow = leftEyeGlow;
-        enemyGroup.rightEyeGlow = rightEyeGlow;
-        enemyGroup.eyeTime = Math.random() * Math.PI * 2; // Random start phase
         
-        // Spawn at random position around player (restored range)
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 30 + Math.random() * 20; // Restored to previous range
-        const spawnX = this.player.position.x + Math.cos(angle) * distance;
-        const spawnZ = this.player.position.z + Math.sin(angle) * distance;
-        const terrainHeight = this.getTerrainHeight(spawnX, spawnZ);
+        // Hit feedback
+        this.createHitEffect(hitPoint);
+        if (sourceType.hitSound) {
+            // Higher pitched for headshots
+            this.playSound('hit', 0.5, (source.headshot ? 1.3 : 0.8) + Math.random() * 0.4);
+        }
+        if (sourceType.fromPlayer) {
+            // Rapid ticks pile into the enemy's current number instead of stacking up new ones
+            if (sourceType.mergeNumbers && enemy.mergedNumber && enemy.mergedNumber.life > 0) {
+                this.addToDamageNumber(enemy.mergedNumber, damage);
+            } else {
+                const number = this.createDamageNumber(hitPoint, damage, source.headshot);
+                if (sourceType.mergeNumbers) enemy.mergedNumber = number;
+            }
+        }
         
-        enemyGroup.position.set(spawnX, terrainHeight + 1, spawnZ); // Position on terrain surface
+        if (enemy.health <= 0) {
+            this.killEnemy(enemy, definition, source);
+            return;
+        }
         
-        enemyGroup.health = 100;
-        enemyGroup.speed = this.getCurrentEnemySpeed(); // Use dynamic speed based on difficulty
-        enemyGroup.castShadow = true;
+        // Flash the body and shove the enemy away from the hit; bigger enemies move less
+        this.setEnemyFlash(enemy, true);
+        enemy.flashTimer = 0.1;
         
-        this.scene.add(enemyGroup);
-        return enemyGroup;
+        if (sourceType.knockback > 0) {
+            let push;
+            if (source.direction) {
+                push = source.direction.clone();
+            } else {
+                push = enemy.position.clone().sub(source.origin || this.player.position);
+            }
+            push.y = 0;
+            if (push.lengthSq() > 0.0001) {
+                push.normalize().multiplyScalar(sourceType.knockback * 0.5 / definition.radius);
+                enemy.knockback = (enemy.knockback || new THREE.Vector3()).add(push);
+            }
+        }
     }
     
-    createGiantEnemy() {
-        // Create giant pill-shaped enemy with green lower body and white upper body
-        const giantEnemyGroup = new THREE.Group();
-        
-        // Giant lower body (green pill shape)
-        const lowerBodyGeometry = new THREE.CapsuleGeometry(1.0, 2.0, 4, 8); // Double size
-        const lowerBodyMaterial = new THREE.MeshLambertMaterial({ color: 0x007700 }); // Darker green
-        const lowerBody = new THREE.Mesh(lowerBodyGeometry, lowerBodyMaterial);
-        lowerBody.position.y = -1.0;
-        giantEnemyGroup.add(lowerBody);
+    killEnemy(enemy, definition, source) {
+        const sourceType = DAMAGE_SOURCES[source.type];
+        
+        // Death effects
+        this.createDeathExplosion(enemy.position);
+        this.playSound('explosion', 0.6, 0.9 + Math.random() * 0.2);
+        this.playSound('enemyDeath', 0.4, 0.8 + Math.random() * 0.4);
+        
+        // The player's own kills build the combo, which multiplies their score. Rams and detonations
+        // aren't kills, so they stay out of the run stats too
+        let points = definition.score;
+        if (sourceType.fromPlayer) {
+            this.runStats.record('enemyKilled', { enemyType: enemy.enemyType });
+            this.combo.count++;
+            this.combo.timer = this.comboWindow;
+            points = Math.round(points * this.getComboMultiplier());
+        }
         
-        // Giant upper body (white pill shape)
-        const upperBodyGeometry = new THREE.CapsuleGeometry(1.0, 2.0, 4, 8); // Double size
-        const upperBodyMaterial = new THREE.MeshLambertMaterial({ color: 0xF0F0F0 }); // Slightly off-white
-        const upperBody = new THREE.Mesh(upperBodyGeometry, upperBodyMaterial);
-        upperBody.position.y = 1.0;
-        giantEnemyGroup.add(upperBody);
-
-        // Add red glowing eyes (larger for giant enemy)
-        const eyeGeometry = new THREE.SphereGeometry(0.16, 8, 8); // Double size for giant
+        // Award points and XP, then roll the enemy's loot table
+        if (sourceType.rewards) {
+            this.score += points;
+            this.gainXp(definition.xp);
+            this.dropLoot(enemy);
+            this.addKillFeedEntry(definition.name, points, source.headshot);
+        }
         
-        // Left eye
-        const leftEyeMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xFF0000,
-            transparent: true,
-            opacity: 0.95
-        });
-        const leftEye = new THREE.Mesh(eyeGeometry, leftEyeMaterial);
-        leftEye.position.set(-0.4, 1.6, 0.8); // Scaled positions for giant
-        giantEnemyGroup.add(leftEye);
-
-        // Left eye glow (bigger for giant)
-        const leftEyeGlowGeometry = new THREE.SphereGeometry(0.24, 8, 8);
-        const leftEyeGlowMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFF0000,
-            transparent: true,
-            opacity: 0.4
-        });
-        const leftEyeGlow = new THREE.Mesh(leftEyeGlowGeometry, leftEyeGlowMaterial);
-        leftEyeGlow.position.set(-0.4, 1.6, 0.8);
-        giantEnemyGroup.add(leftEyeGlow);
-
-        // Right eye
-        const rightEyeMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xFF0000,
-            transparent: true,
-            opacity: 0.95
-        });
-        const rightEye = new THREE.Mesh(eyeGeometry, rightEyeMaterial);
-        rightEye.position.set(0.4, 1.6, 0.8);
-        giantEnemyGroup.add(rightEye);
-
-        // Right eye glow (bigger for giant)
-        const rightEyeGlowGeometry = new THREE.SphereGeometry(0.24, 8, 8);
-        const rightEyeGlowMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFF0000,
-            transparent: true,
-            opacity: 0.4
-        });
-        const rightEyeGlow = new THREE.Mesh(rightEyeGlowGeometry, rightEyeGlowMaterial);
-        rightEyeGlow.position.set(0.4, 1.6, 0.8);
-        giantEnemyGroup.add(rightEyeGlow);
-
-        // Store references for animation
-        giantEnemyGroup.leftEye = leftEye;
-        giantEnemyGroup.rightEye = rightEye;
-        giantEnemyGroup.leftEyeGlow = leftEyeGlow;
-        giantEnemyGroup.rightEyeGlow = rightEyeGlow;
-        giantEnemyGroup.eyeTime = Math.random() * Math.PI * 2; // Random start phase
-        
-        // Spawn at random position around player
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 35 + Math.random() * 15; // Slightly further away
-        const spawnX = this.player.position.x + Math.cos(angle) * distance;
-        const spawnZ = this.player.position.z + Math.sin(angle) * distance;
-        const terrainHeight = this.getTerrainHeight(spawnX, spawnZ);
-        
-        giantEnemyGroup.position.set(spawnX, terrainHeight + 2, spawnZ); // Position higher due to size
-        
-        // Giant enemy properties
-        giantEnemyGroup.health = 1000; // 10 attacks to kill (10 × 100 damage)
-        giantEnemyGroup.maxHealth = 1000;
-        giantEnemyGroup.speed = this.getCurrentEnemySpeed() * 0.7; // Slower than regular enemies
-        giantEnemyGroup.isGiant = true; // Mark as giant enemy
-        giantEnemyGroup.castShadow = true;
+        if (definition.splitInto) {
+            this.splitEnemy(enemy, definition);
+        }
         
-        // Add a glowing effect to make it more menacing
-        const glowGeometry = new THREE.SphereGeometry(4, 16, 16); // Bigger glow for giant
-        const glowMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFF0000,
-            transparent: true,
-            opacity: 0.1
+        this.removeEnemy(this.enemies.indexOf(enemy));
+    }
+    
+    setEnemyFlash(enemy, on) {
+        enemy.bodyMaterials.forEach(material => {
+            material.emissive.setHex(on ? 0xFF3333 : 0x000000);
         });
-        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-        glow.position.y = 0;
-        giantEnemyGroup.add(glow);
-        
-        // Add pulsing glow animation
-        giantEnemyGroup.glowTime = 0;
-        
-        // Add health bar above giant enemy
-        this.createGiantHealthBar(giantEnemyGroup);
-        
-        this.scene.add(giantEnemyGroup);
-        return giantEnemyGroup;
     }
     
-    createGiantHealthBar(enemy) {
-        // Create health bar background
-        const barGeometry = new THREE.PlaneGeometry(4, 0.3);
-        const barBackgroundMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0x333333,
-            transparent: true,
-            opacity: 0.8
+    getDamageNumberTexture(damage, headshot) {
+        // Text drawn on a small canvas, cached per rendered string since the same numbers come up constantly
+        const text = Math.round(damage) + (headshot ? '!' : '');
+        const key = `damageNumber:${text}`;
+        let texture = this.damageNumberTextures.get(key);
+        if (texture) {
+            this.damageNumberTextures.delete(key); // Re-added below as the most recently used
+        } else {
+            texture = this.createDamageNumberTexture(key, text, headshot);
+            if (!texture) return null;
+            this.evictDamageNumberTextures();
+        }
+        this.damageNumberTextures.set(key, texture);
+        return texture;
+    }
+    
+    evictDamageNumberTextures() {
+        // Oldest first, skipping any a live number still shows
+        for (const [key, texture] of this.damageNumberTextures) {
+            if (this.damageNumberTextures.size < DAMAGE_NUMBER_TEXTURE_LIMIT) return;
+            if (this.damageNumbers.some(number => number.material.map === texture)) continue;
+            this.damageNumberTextures.delete(key);
+            this.resources.disposeTexture(key);
+        }
+    }
+    
+    createDamageNumberTexture(key, text, headshot) {
+        return this.resources.texture(key, () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 128;
+            canvas.height = 64;
+            const context = canvas.getContext('2d');
+            if (!context) return null;
+            
+            // Headshots are crits - gold with an exclamation mark
+            context.font = headshot ? 'bold 52px Courier New' : 'bold 44px Courier New';
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.lineWidth = 6;
+            context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+            context.strokeText(text, 64, 32);
+            context.fillStyle = headshot ? '#FFD700' : '#FFFFFF';
+            context.fillText(text, 64, 32);
+            return new THREE.CanvasTexture(canvas);
         });
-        const healthBarBackground = new THREE.Mesh(barGeometry, barBackgroundMaterial);
-        healthBarBackground.position.set(0, 3.5, 0); // Adjusted for pill shape height
-        healthBarBackground.lookAt(0, 3.5, 1); // Face camera initially
-        enemy.add(healthBarBackground);
+    }
+    
+    createDamageNumber(position, damage, headshot) {
+        // Shown as a sprite, which always faces the camera. Each sprite gets its own material for the fade
+        const texture = this.getDamageNumberTexture(damage, headshot);
+        if (!texture) return null;
         
-        // Create health bar foreground
-        const healthBarMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xFF0000,
+        const material = new THREE.SpriteMaterial({
+            map: texture,
             transparent: true,
-            opacity: 0.9
+            depthTest: false
         });
-        const healthBar = new THREE.Mesh(barGeometry, healthBarMaterial);
-        healthBar.position.set(0, 3.51, 0); // Adjusted for pill shape height
-        healthBar.lookAt(0, 3.51, 1); // Face camera initially
-        enemy.add(healthBar);
-        
-        // Store reference for updates
-        enemy.healthBar = healthBar;
-        enemy.healthBarBackground = healthBarBackground;
+        const number = new THREE.Sprite(material);
+        number.position.copy(position);
+        number.position.x += (Math.random() - 0.5) * 0.4;
+        number.position.y += 0.5;
+        number.scale.set(1.2, 0.6, 1).multiplyScalar(headshot ? 1.4 : 1);
+        number.velocity = new THREE.Vector3(0, 1.5, 0);
+        number.life = 0.8;
+        number.maxLife = number.life;
+        number.damage = damage;
+        
+        this.damageNumbers.push(number);
+        this.scene.add(number);
+        return number;
     }
     
-    updateGiantHealthBar(enemy) {
-        if (enemy.healthBar && enemy.healthBarBackground) {
-            // Update health bar scale based on current health
-            const healthPercent = enemy.health / enemy.maxHealth;
-            enemy.healthBar.scale.x = Math.max(0, healthPercent);
-            
-            // Change color based on health
-            if (healthPercent > 0.6) {
-                enemy.healthBar.material.color.setHex(0xFF0000); // Red
-            } else if (healthPercent > 0.3) {
-                enemy.healthBar.material.color.setHex(0xFF6600); // Orange
-            } else {
-                enemy.healthBar.material.color.setHex(0xFF0000); // Bright red
+    addToDamageNumber(number, damage) {
+        number.damage += damage;
+        const texture = this.getDamageNumberTexture(number.damage, false);
+        if (texture) number.material.map = texture;
+    }
+    
+    updateDamageNumbers(deltaTime) {
+        for (let i = this.damageNumbers.length - 1; i >= 0; i--) {
+            const number = this.damageNumbers[i];
+            number.position.addScaledVector(number.velocity, deltaTime);
+            number.life -= deltaTime;
+            number.material.opacity = Math.min(1, (number.life / number.maxLife) * 2);
+            
+            if (number.life <= 0) {
+                this.removeDamageNumberSprite(number);
+                this.damageNumbers.splice(i, 1);
             }
-            
-            // Make health bar face the camera
-            const cameraPosition = this.camera.position;
-            enemy.healthBar.lookAt(cameraPosition);
-            enemy.healthBarBackground.lookAt(cameraPosition);
         }
     }
     
-    shoot() {
-        if (this.isPaused || !this.gameRunning) return;
+    getComboMultiplier() {
+        // +0.25 for every 5 kills in the chain, capped at x3
+        return Math.min(3, 1 + Math.floor(this.combo.count / 5) * 0.25);
+    }
+    
+    updateCombo(deltaTime) {
+        if (this.combo.count === 0) return;
         
-        // Play gunshot sound
-        this.playSound('gunshot', 0.7, 0.9 + Math.random() * 0.2);
+        this.combo.timer -= deltaTime;
+        if (this.combo.timer <= 0) {
+            this.combo.count = 0;
+        }
+    }
+    
+    addKillFeedEntry(enemyName, points, headshot) {
+        const element = document.createElement('div');
+        element.className = 'killFeedEntry' + (headshot ? ' headshot' : '');
+        element.textContent = `${headshot ? 'Headshot ' : ''}${enemyName} +${points}`;
+        document.getElementById('killFeed').appendChild(element);
+        this.killFeed.push({ element, time: this.gameTime });
+        
+        // Oldest entries drop off the top
+        while (this.killFeed.length > this.killFeedLimit) {
+            this.killFeed.shift().element.remove();
+        }
+    }
+    
+    updateKillFeed() {
+        while (this.killFeed.length > 0 && this.gameTime - this.killFeed[0].time > this.killFeedDuration) {
+            this.killFeed.shift().element.remove();
+        }
         
-        const bulletGeometry = new THREE.SphereGeometry(0.15);
-        const bulletMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xFFFF00,
-            transparent: true,
-            opacity: 0.9
+        // Fade entries during their last second
+        this.killFeed.forEach(entry => {
+            const remaining = this.killFeedDuration - (this.gameTime - entry.time);
+            entry.element.style.opacity = Math.min(1, remaining);
         });
-        const bullet = new THREE.Mesh(bulletGeometry, bulletMaterial);
+    }
+    
+    clearKillFeed() {
+        this.killFeed.forEach(entry => entry.element.remove());
+        this.killFeed = [];
+    }
+    
+    removeDamageNumberSprite(number) {
+        // Frees the sprite's own material; the cached text texture stays for the next hit
+        this.resources.release(number);
+    }
+    
+    removeEnemy(index) {
+        if (this.enemies[index]) {
+            this.enemyHash.remove(this.enemies[index]);
+            this.resources.release(this.enemies[index]);
+            this.enemies.splice(index, 1);
+        }
+    }
+    
+    removeBullet(index) {
+        if (this.bullets[index]) {
+            this.resources.release(this.bullets[index]);
+            this.bullets.splice(index, 1);
+        }
+    }
+    
+    dropLoot(enemy) {
+        const table = LOOT_TABLES[ENEMY_TYPES[enemy.enemyType].dropTable];
+        const drops = [];
         
-        // Add a glowing trail effect
-        const trailGeometry = new THREE.SphereGeometry(0.08);
-        const trailMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFFAA00,
-            transparent: true,
-            opacity: 0.6
-        });
-        const trail = new THREE.Mesh(trailGeometry, trailMaterial);
-        bullet.add(trail);
+        if (table.guaranteedRarity) {
+            const guaranteed = table.entries.filter(entry => PICKUP_TYPES[entry.type].rarity === table.guaranteedRarity);
+            drops.push(this.pickWeighted(guaranteed, this.lootRandom).type);
+        }
         
-        bullet.position.copy(this.camera.position);
+        for (let i = 0; i < table.rolls; i++) {
+            if (this.lootRandom() < table.dropChance) {
+                drops.push(this.pickWeighted(table.entries, this.lootRandom).type);
+            }
+        }
         
-        const direction = new THREE.Vector3();
-        this.camera.getWorldDirection(direction);
-        bullet.velocity = direction.multiplyScalar(50);
-        bullet.life = 2;
+        // Scatter multiple drops around the death position
+        drops.forEach((type, i) => {
+            const position = enemy.position.clone();
+            if (drops.length > 1) {
+                const angle = (i / drops.length) * Math.PI * 2;
+                position.x += Math.cos(angle) * 1.2;
+                position.z += Math.sin(angle) * 1.2;
+            }
+            this.spawnPickup(type, position);
+        });
+    }
+    
+    pickWeighted(entries, random) {
+        const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+        let roll = random() * totalWeight;
         
-        // Create muzzle flash effect
-        const muzzlePosition = this.camera.position.clone();
-        muzzlePosition.add(direction.clone().multiplyScalar(1));
-        this.createMuzzleFlash(muzzlePosition);
+        for (const entry of entries) {
+            roll -= entry.weight;
+            if (roll <= 0) return entry;
+        }
         
-        this.bullets.push(bullet);
-        this.scene.add(bullet);
+        return entries[entries.length - 1];
     }
     
-    updateEnemies(deltaTime) {
-        this.enemies.forEach((enemy, index) => {
-            // Update eye glow animation for all enemies
-            if (enemy.leftEye && enemy.rightEye && enemy.leftEyeGlow && enemy.rightEyeGlow) {
-                enemy.eyeTime += deltaTime * 3; // Eye pulse speed
-                
-                // Pulsing glow effect
-                const glowIntensity = 0.2 + 0.3 * Math.sin(enemy.eyeTime);
-                enemy.leftEyeGlow.material.opacity = glowIntensity;
-                enemy.rightEyeGlow.material.opacity = glowIntensity;
-                
-                // Main eye brightness variation
-                const eyeIntensity = 0.8 + 0.2 * Math.sin(enemy.eyeTime * 1.5);
-                enemy.leftEye.material.opacity = eyeIntensity;
-                enemy.rightEye.material.opacity = eyeIntensity;
-            }
-            
-            // Update pulsing glow for giant enemies (existing giant glow)
-            if (enemy.isGiant && enemy.children.length > 0) {
-                enemy.glowTime += deltaTime * 2;
-                // Find the giant's body glow (not the eye glow)
-                const bodyGlow = enemy.children.find(child => 
-                    child.geometry && child.geometry.type === 'SphereGeometry' && 
-                    child.geometry.parameters.radius === 4
-                );
-                if (bodyGlow) {
-                    bodyGlow.material.opacity = 0.05 + 0.05 * Math.sin(enemy.glowTime);
-                }
-                
-                // Update health bar for giant enemies
-                this.updateGiantHealthBar(enemy);
-            }
-            
-            // Move towards player
-            const direction = new THREE.Vector3();
-            direction.subVectors(this.player.position, enemy.position);
-            direction.y = 0;
-            direction.normalize();
-            direction.multiplyScalar(enemy.speed * deltaTime);
-            
-            enemy.position.add(direction);
-            
-            // Enforce air wall boundaries for enemies
-            this.checkBoundaries(enemy.position);
-            
-            // Keep enemies on terrain surface
-            const terrainHeight = this.getTerrainHeight(enemy.position.x, enemy.position.z);
-            enemy.position.y = terrainHeight + (enemy.isGiant ? 2 : 1);
-            
-            // Check collision with player
-            const distance = enemy.position.distanceTo(this.player.position);
-            const collisionDistance = enemy.isGiant ? 3 : 2; // Giant enemies have larger collision
-            
-            if (distance < collisionDistance) {
-                const damage = enemy.isGiant ? 20 : 10; // Giant enemies deal more damage
-                this.takeDamage(damage);
-                this.removeEnemy(index);
+    spawnPickup(type, position) {
+        const definition = PICKUP_TYPES[type];
+        if (!definition) return null;
+        
+        const geometry = this.resources.geometry(`pickup:${definition.shape}`, () => {
+            switch (definition.shape) {
+                case 'box':
+                    return new THREE.BoxGeometry(0.4, 0.3, 0.4);
+                case 'gem':
+                    return new THREE.OctahedronGeometry(0.3);
+                case 'orb':
+                    return new THREE.IcosahedronGeometry(0.35);
+                default:
+                    return new THREE.SphereGeometry(0.25, 8, 8);
             }
         });
+        
+        const material = this.resources.material(`pickup:${type}`, () => new THREE.MeshBasicMaterial({
+            color: definition.color,
+            transparent: true,
+            opacity: 0.95
+        }));
+        const pickup = new THREE.Mesh(geometry, material);
+        
+        // Soft glow so drops read clearly in the dark
+        const glowRadius = definition.rarity === 'rare' ? 0.7 : 0.5;
+        const glowGeometry = this.resources.geometry(`pickupGlow:${glowRadius}`, () => new THREE.SphereGeometry(glowRadius, 8, 8));
+        const glowMaterial = this.resources.material(`pickupGlow:${type}`, () => new THREE.MeshBasicMaterial({
+            color: definition.color,
+            transparent: true,
+            opacity: 0.25
+        }));
+        pickup.add(new THREE.Mesh(glowGeometry, glowMaterial));
+        
+        const terrainHeight = this.getTerrainHeight(position.x, position.z);
+        pickup.position.set(position.x, terrainHeight + 0.6, position.z);
+        this.checkBoundaries(pickup.position);
+        
+        pickup.pickupType = type;
+        pickup.baseY = pickup.position.y;
+        pickup.life = this.pickupLifetime;
+        pickup.bobTime = Math.random() * Math.PI * 2;
+        
+        this.pickups.push(pickup);
+        this.pickupHash.insert(pickup, pickup.position.x, pickup.position.z);
+        this.scene.add(pickup);
+        return pickup;
     }
     
-    updateBullets(deltaTime) {
-        this.bullets.forEach((bullet, bulletIndex) => {
-            bullet.position.add(bullet.velocity.clone().multiplyScalar(deltaTime));
-            bullet.life -= deltaTime;
+    updatePickups(deltaTime) {
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
             
-            // Check collision with enemies
-            this.enemies.forEach((enemy, enemyIndex) => {
-                const distance = bullet.position.distanceTo(enemy.position);
-                const hitDistance = enemy.isGiant ? 1.5 : 1; // Giant enemies are easier to hit
-                
-                if (distance < hitDistance) {
-                    // Create hit effect and damage enemy
-                    this.createHitEffect(enemy.position);
-                    
-                    // Play hit sound
-                    this.playSound('hit', 0.5, 0.8 + Math.random() * 0.4);
-                    
-                    // Damage enemy
-                    enemy.health -= 100; // Standard damage per hit
-                    
-                    if (enemy.health <= 0) {
-                        // Enemy is dead - create death effects
-                        this.createDeathExplosion(enemy.position);
-                        this.playSound('explosion', 0.6, 0.9 + Math.random() * 0.2);
-                        this.playSound('enemyDeath', 0.4, 0.8 + Math.random() * 0.4);
-                        
-                        // Award points based on enemy type
-                        const points = enemy.isGiant ? 50 : 10;
-                        this.score += points;
-                        
-                        this.removeEnemy(enemyIndex);
-                    } else if (enemy.isGiant) {
-                        // Giant enemy took damage but didn't die - flash red
-                        const originalColor = enemy.material.color.clone();
-                        enemy.material.color.setHex(0xFFAAAA);
-                        setTimeout(() => {
-                            if (enemy.material) {
-                                enemy.material.color.copy(originalColor);
-                            }
-                        }, 100);
-                    }
-                    
-                    this.removeBullet(bulletIndex);
-                }
-            });
+            // Gentle bob and spin
+            pickup.bobTime += deltaTime * 3;
+            pickup.position.y = pickup.baseY + Math.sin(pickup.bobTime) * 0.15;
+            pickup.rotation.y += deltaTime * 2;
             
-            // Remove old bullets
-            if (bullet.life <= 0) {
-                this.removeBullet(bulletIndex);
+            // Despawn after timeout, blinking for the last few seconds as a warning
+            pickup.life -= deltaTime;
+            pickup.visible = pickup.life > 3 || Math.floor(pickup.life * 8) % 2 === 0;
+            
+            if (pickup.life <= 0) {
+                this.removePickup(i);
             }
+        }
+    }
+    
+    collectPickups() {
+        const position = this.player.position;
+        this.pickupHash.queryRadius(position.x, position.z, this.stats.pickupRadius).forEach(pickup => {
+            this.applyPickup(pickup.pickupType);
+            this.playSound('pickup', 0.6, PICKUP_TYPES[pickup.pickupType].rarity === 'rare' ? 1.3 : 1.0);
+            this.removePickup(this.pickups.indexOf(pickup));
         });
     }
     
-    removeEnemy(index) {
-        if (this.enemies[index]) {
-            this.scene.remove(this.enemies[index]);
-            this.enemies.splice(index, 1);
+    applyPickup(type) {
+        const definition = PICKUP_TYPES[type];
+        
+        switch (definition.effect) {
+            case 'heal':
+                this.health = Math.min(this.stats.maxHealth, this.health + definition.amount);
+                break;
+            case 'ammo':
+                this.addAmmo(definition.amount);
+                break;
+            case 'score':
+                this.score += definition.amount;
+                break;
+            case 'powerUp':
+                // Collecting the same power-up again refreshes its timer
+                this.activePowerUps[definition.powerUp] = definition.duration;
+                break;
         }
     }
     
-    removeBullet(index) {
-        if (this.bullets[index]) {
-            this.scene.remove(this.bullets[index]);
-            this.bullets.splice(index, 1);
+    removePickup(index) {
+        if (this.pickups[index]) {
+            this.pickupHash.remove(this.pickups[index]);
+            this.resources.release(this.pickups[index]);
+            this.pickups.splice(index, 1);
         }
     }
     
-    takeDamage(amount) {
+    updatePowerUps(deltaTime) {
+        Object.keys(this.activePowerUps).forEach(name => {
+            this.activePowerUps[name] -= deltaTime;
+            if (this.activePowerUps[name] <= 0) {
+                delete this.activePowerUps[name];
+            }
+        });
+    }
+    
+    takeDamage(amount, sourcePosition = null) {
+        // Shield power-up, dash and post-hit invulnerability absorb all incoming damage
+        if (this.activePowerUps.shield) return;
+        if (this.player.invulnerableTimer > 0) return;
+        
+        this.runStats.record('playerDamaged', { amount: Math.min(amount, Math.max(0, this.health)) });
         this.health -= amount;
+        this.regenDelay = 3;
+        this.player.invulnerableTimer = this.hurtInvulnerability;
+        
+        // Feedback scales with how big the hit was
+        const severity = Math.min(1, amount / 30);
+        this.hurtFlash = Math.max(this.hurtFlash, 0.5 + severity * 0.5);
+        this.cameraShake = Math.max(this.cameraShake, 0.05 + severity * 0.15);
+        this.playSound('hurt', 0.7, 0.9 + Math.random() * 0.2);
+        if (sourcePosition) {
+            this.addDamageIndicator(sourcePosition);
+        }
         if (this.health <= 0) {
             this.gameOver();
         }
     }
     
+    addDamageIndicator(sourcePosition) {
+        const element = document.createElement('div');
+        element.className = 'damageArc';
+        document.getElementById('damageIndicators').appendChild(element);
+        this.damageIndicators.push({ element, source: sourcePosition.clone(), life: 1.2 });
+    }
+    
+    updateHurtEffects(frameTime) {
+        // Vignette - flashes on hits and pulses while health is low
+        this.hurtFlash = Math.max(0, this.hurtFlash - frameTime * 2);
+        let vignette = this.hurtFlash;
+        const healthFraction = this.health / this.stats.maxHealth;
+        if (this.gameRunning && healthFraction < 0.3) {
+            const pulse = 0.5 + 0.5 * Math.sin(this.clock.elapsedTime * 6);
+            vignette = Math.max(vignette, (0.3 - healthFraction) * 2 * pulse);
+        }
+        document.getElementById('damageVignette').style.opacity = Math.min(1, vignette);
+        
+        this.cameraShake = Math.max(0, this.cameraShake - frameTime * 0.6);
+        
+        // Arcs around the crosshair keep pointing at where the hit came from as the player turns
+        const yaw = this.player.rotation.y;
+        for (let i = this.damageIndicators.length - 1; i >= 0; i--) {
+            const indicator = this.damageIndicators[i];
+            indicator.life -= frameTime;
+            if (indicator.life <= 0) {
+                indicator.element.remove();
+                this.damageIndicators.splice(i, 1);
+                continue;
+            }
+            
+            const toSourceX = indicator.source.x - this.player.position.x;
+            const toSourceZ = indicator.source.z - this.player.position.z;
+            const right = toSourceX * Math.cos(yaw) - toSourceZ * Math.sin(yaw);
+            const forward = -toSourceX * Math.sin(yaw) - toSourceZ * Math.cos(yaw);
+            const angle = Math.atan2(right, forward);
+            
+            indicator.element.style.transform = `rotate(${angle}rad)`;
+            indicator.element.style.opacity = Math.min(1, indicator.life * 2);
+        }
+    }
+    
+    clearHurtEffects() {
+        this.hurtFlash = 0;
+        this.cameraShake = 0;
+        this.heartbeatTimer = 0;
+        this.damageIndicators.forEach(indicator => indicator.element.remove());
+        this.damageIndicators = [];
+        document.getElementById('damageVignette').style.opacity = 0;
+    }
+    
+    updateHeartbeat(deltaTime) {
+        // Heartbeat below 30% health, beating faster and louder the closer to death
+        const healthFraction = this.health / this.stats.maxHealth;
+        if (healthFraction >= 0.3) {
+            this.heartbeatTimer = 0;
+            return;
+        }
+        
+        this.heartbeatTimer -= deltaTime;
+        if (this.heartbeatTimer <= 0) {
+            const danger = 1 - healthFraction / 0.3;
+            this.heartbeatTimer = 1.1 - danger * 0.5;
+            this.playSound('heartbeat', 0.5 + danger * 0.5);
+        }
+    }
+    
     gameOver() {
+        if (!this.gameRunning) return;
         this.gameRunning = false;
         document.exitPointerLock();
         
-        // Calculate final difficulty multiplier
-        const minutesElapsed = Math.floor(this.gameTime / 60);
-        const finalDifficulty = Math.pow(1.2, minutesElapsed);
-        
         // Update game over UI with final stats
         document.getElementById('finalTime').textContent = this.formatTime(this.gameTime);
         document.getElementById('finalScore').textContent = this.score;
-        document.getElementById('finalDifficulty').textContent = finalDifficulty.toFixed(1) + 'x';
+        document.getElementById('finalWave').textContent = this.waveDirector.waveNumber;
+        document.getElementById('finalSeed').textContent = this.describeWorld(this.seed, this.worldMode);
+        
+        const summary = this.runStats.getSummary(this.gameTime);
+        document.getElementById('finalAccuracy').textContent = `${Math.round(summary.accuracy * 100)}% (${summary.shotsHit}/${summary.shotsHit + summary.shotsMissed})`;
+        document.getElementById('finalKillRate').textContent = `${summary.kills} (${summary.killsPerMinute.toFixed(1)} / min)`;
+        document.getElementById('finalGiants').textContent = summary.giantsSlain;
+        this.recordRun(summary);
         
         // Show game over UI
+        document.getElementById('worldModeSelect').value = this.worldMode;
         document.getElementById('gameOverUI').style.display = 'flex';
     }
     
+    recordRun(summary) {
+        const run = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            date: new Date().toISOString(),
+            name: this.runHistory.playerName,
+            seed: this.seed,
+            mode: this.worldMode,
+            score: this.score,
+            time: Math.round(this.gameTime * 10) / 10,
+            wave: this.waveDirector.waveNumber,
+            level: this.level,
+            ...summary
+        };
+        this.runHistory.addRun(run);
+        this.lastRunId = run.id;
+        
+        // Leaderboard placement for the game over screen
+        const scoreRank = this.runHistory.getTopByScore(run.mode).indexOf(run) + 1;
+        const timeRank = this.runHistory.getTopByTime(run.mode).indexOf(run) + 1;
+        const placements = [];
+        if (scoreRank) placements.push(`#${scoreRank} by score`);
+        if (timeRank) placements.push(`#${timeRank} by time`);
+        document.getElementById('finalRank').textContent = placements.length ? `New record: ${placements.join(', ')}` : '';
+        document.getElementById('playerName').value = run.name;
+    }
+    
+    openRecords() {
+        this.recordsOpen = true;
+        this.recordsMode = this.worldMode;
+        document.getElementById('recordsMessage').textContent = '';
+        document.getElementById('recordsUI').style.display = 'flex';
+        this.renderRecords();
+    }
+    
+    closeRecords() {
+        this.recordsOpen = false;
+        document.getElementById('recordsUI').style.display = 'none';
+    }
+    
+    renderRecords() {
+        document.querySelectorAll('#recordsTabs button').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.recordsView === this.recordsView);
+        });
+        
+        // Leaderboards are split by world mode; the history lists every run and labels endless ones
+        document.getElementById('recordsModes').style.display = this.recordsView === 'history' ? 'none' : 'flex';
+        document.querySelectorAll('#recordsModes button').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.recordsMode === this.recordsMode);
+        });
+        
+        const list = document.getElementById('recordsList');
+        list.innerHTML = '';
+        const runs = this.recordsView === 'score' ? this.runHistory.getTopByScore(this.recordsMode)
+            : this.recordsView === 'time' ? this.runHistory.getTopByTime(this.recordsMode)
+            : this.runHistory.getRecent();
+        if (runs.length === 0) {
+            list.textContent = 'No runs recorded yet';
+            return;
+        }
+        
+        runs.forEach((run, index) => {
+            const entry = this.recordsView === 'history' ? this.createHistoryEntry(run) : this.createLeaderboardRow(run, index);
+            entry.classList.toggle('latestRun', run.id === this.lastRunId);
+            list.appendChild(entry);
+        });
+    }
+    
+    describeWorld(seed, mode) {
+        return mode === 'endless' ? `${seed} (endless)` : `${seed}`;
+    }
+    
+    createLeaderboardRow(run, index) {
+        // Names come from players and imported files, so everything goes in as text
+        const row = document.createElement('div');
+        row.className = 'leaderboardRow';
+        [`#${index + 1}`, run.name, run.score, this.formatTime(run.time), `seed ${this.describeWorld(run.seed, run.mode)}`, run.date.slice(0, 10)].forEach(value => {
+            const cell = document.createElement('span');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        return row;
+    }
+    
+    createHistoryEntry(run) {
+        const entry = document.createElement('div');
+        entry.className = 'historyEntry';
+        
+        const accuracy = Math.round((run.accuracy || 0) * 100);
+        const killsByType = Object.entries(run.killsByType || {})
+            .map(([type, count]) => `${ENEMY_TYPES[type] ? ENEMY_TYPES[type].name : type} ${count}`)
+            .join(', ');
+        const lines = [
+            `${new Date(run.date).toLocaleString()} - ${run.name} - seed ${this.describeWorld(run.seed, run.mode)}`,
+            `Score ${run.score} | Time ${this.formatTime(run.time)} | Wave ${run.wave || '-'} | Level ${run.level || '-'}`,
+            `Kills ${run.kills || 0}${killsByType ? ` (${killsByType})` : ''} | ${(run.killsPerMinute || 0).toFixed(1)} / min | Giants ${run.giantsSlain || 0}`,
+            `Shots ${run.shotsFired || 0} | Accuracy ${accuracy}% | Headshots ${run.headshots || 0}`,
+            `Damage dealt ${run.damageDealt || 0} | Damage taken ${run.damageTaken || 0} | Walked ${run.distanceWalked || 0}m | Near walls ${run.timeNearWalls || 0}s`
+        ];
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            entry.appendChild(line);
+        });
+        
+        // Jump straight into the same map to try to beat it
+        const replayButton = document.createElement('button');
+        replayButton.textContent = 'Replay seed';
+        replayButton.addEventListener('click', () => {
+            this.closeRecords();
+            this.restartGame(run.seed, run.mode || 'arena');
+        });
+        entry.appendChild(replayButton);
+        return entry;
+    }
+    
     updateUI() {
         document.getElementById('timer').textContent = this.formatTime(this.gameTime);
-        document.getElementById('health').textContent = Math.max(0, this.health);
+        document.getElementById('health').textContent = Math.max(0, Math.ceil(this.health));
         document.getElementById('score').textContent = this.score;
-        
-        // Update difficulty multiplier display (based on spawn rate increase)
-        const minutesElapsed = Math.floor(this.gameTime / 60);
-        const difficultyMultiplier = Math.pow(1.2, minutesElapsed); // Based on 20% spawn increase
-        document.getElementById('difficulty').textContent = difficultyMultiplier.toFixed(1) + 'x';
+        document.getElementById('level').textContent = this.level;
+        document.getElementById('xpFill').style.width = `${(this.xp / getXpForLevel(this.level)) * 100}%`;
+        document.getElementById('wave').textContent = this.waveDirector.getStatusText();
+        
+        // Current weapon and ammo
+        const weapon = WEAPONS[this.currentWeapon];
+        const ammo = this.weaponAmmo[this.currentWeapon];
+        const reserveText = ammo.reserve === Infinity ? '∞' : ammo.reserve;
+        document.getElementById('weapon').textContent = weapon.name + (this.reloadTimer > 0 ? ' (reloading)' : '');
+        document.getElementById('ammo').textContent = `${ammo.magazine} / ${reserveText}`;
+        
+        // Active power-ups with remaining seconds
+        const powerUpText = Object.entries(this.activePowerUps)
+            .map(([name, remaining]) => `${name} ${Math.ceil(remaining)}s`)
+            .join(' ');
+        document.getElementById('powerUps').textContent = powerUpText || '-';
+        
+        // Kill combo - hidden until the chain gets going
+        const comboElement = document.getElementById('combo');
+        if (this.combo.count >= 2) {
+            comboElement.style.display = 'block';
+            document.getElementById('comboText').textContent = `${this.combo.count} combo  x${this.getComboMultiplier().toFixed(2)}`;
+            document.getElementById('comboTimer').style.width = `${(this.combo.timer / this.comboWindow) * 100}%`;
+        } else {
+            comboElement.style.display = 'none';
+        }
+        this.updateKillFeed();
+        
+        // Passive weapons and their levels
+        const passiveText = Object.entries(this.passiveWeapons)
+            .map(([id, passive]) => `${PASSIVE_WEAPONS[id].name} ${passive.level}`)
+            .join(' ');
+        document.getElementById('passives').textContent = passiveText || '-';
+        
+        // Stamina bar and dash readiness
+        const staminaFill = document.getElementById('staminaFill');
+        staminaFill.style.width = `${(this.player.stamina / this.movement.maxStamina) * 100}%`;
+        staminaFill.classList.toggle('exhausted', this.player.stamina < this.movement.dashCost);
+        document.getElementById('dash').textContent = this.player.dashCooldown > 0
+            ? `Dash ${this.player.dashCooldown.toFixed(1)}s`
+            : 'Dash ready';
+        
+        // Waves set how many enemies come; the speed multiplier is the one thing still scaling with time
+        const speedMultiplier = this.getCurrentEnemySpeed() / this.baseEnemySpeed;
+        document.getElementById('enemySpeed').textContent = speedMultiplier.toFixed(1) + 'x';
     }
     
     formatTime(seconds) {
@@ -2422,42 +6590,138 @@ class GhibliSurvivors {
     animate() {
         requestAnimationFrame(() => this.animate());
         
-        const deltaTime = this.clock.getDelta();
+        // Clamp long frames so a stalled tab resumes smoothly instead of fast-forwarding
+        const rawFrameTime = this.clock.getDelta();
+        const frameTime = Math.min(rawFrameTime, this.maxFrameTime);
+        this.debugStats.clampedTime += rawFrameTime - frameTime;
         
+        // Poll the gamepad every frame so stick look stays smooth and Start works while paused
+        this.updateGamepad(frameTime);
+        
+        let steps = 0;
         if (this.gameRunning && !this.isPaused) {
-            this.gameTime += deltaTime;
-            
-            // Check for giant enemy spawning every minute
-            const currentMinute = Math.floor(this.gameTime / 60);
-            const lastMinute = Math.floor((this.gameTime - deltaTime) / 60);
+            this.simAccumulator += frameTime;
             
-            if (currentMinute > lastMinute && currentMinute > 0) {
-                // Spawn a giant enemy at each minute mark
-                const giantEnemy = this.createGiantEnemy();
-                this.enemies.push(giantEnemy);
-                console.log(`Giant enemy spawned at minute ${currentMinute}!`);
+            while (this.simAccumulator >= this.simStep && this.gameRunning && !this.isPaused) {
+                this.simulationStep(this.simStep);
+                this.simAccumulator -= this.simStep;
+                steps++;
             }
             
-            this.updatePlayer(deltaTime);
-            this.updateEnemies(deltaTime);
-            this.updateBullets(deltaTime);
             this.updateUI();
         }
         
         // Always update particles and atmospheric effects
-        this.updateParticles(deltaTime);
+        this.updateParticles(frameTime);
+        this.updateDamageNumbers(frameTime);
+        this.updateHurtEffects(frameTime);
         
         // Animate stars slowly with twinkling effect
         if (this.starGroup) {
-            this.starGroup.rotation.y += deltaTime * 0.005;
-            this.starGroup.children.forEach((star, index) => {
-                // Twinkling effect
-                const time = this.clock.getElapsedTime();
-                star.material.opacity = 0.6 + 0.4 * Math.sin(time * 2 + index);
-            });
+            this.starGroup.rotation.y += frameTime * 0.005;
+            // Twinkling effect through per-star brightness
+            const time = this.clock.getElapsedTime();
+            for (let index = 0; index < this.stars.count; index++) {
+                this.starColor.setScalar(0.6 + 0.4 * Math.sin(time * 2 + index));
+                this.stars.setColorAt(index, this.starColor);
+            }
+            this.stars.instanceColor.needsUpdate = true;
         }
         
+        this.renderFrame(this.simAccumulator / this.simStep);
+        this.updateDebugOverlay(frameTime, steps);
+    }
+    
+    simulationStep(deltaTime) {
+        this.storePreviousPositions();
+        this.gameTime += deltaTime;
+        
+        this.waveDirector.update(deltaTime);
+        this.updatePlayer(deltaTime);
+        if (this.worldMode === 'endless') {
+            this.updateEndlessWorld();
+        }
+        this.updateEnemies(deltaTime);
+        this.updateWeapons(deltaTime);
+        this.updatePassiveWeapons(deltaTime);
+        this.updateBullets(deltaTime);
+        this.updateCombo(deltaTime);
+        this.updateHeartbeat(deltaTime);
+        this.updateEnemyProjectiles(deltaTime);
+        this.updatePickups(deltaTime);
+        this.updatePowerUps(deltaTime);
+    }
+    
+    storePreviousPositions() {
+        this.player.previousPosition.copy(this.player.position);
+        
+        this.getInterpolatedObjects().forEach(object => {
+            if (!object.previousPosition) {
+                object.previousPosition = new THREE.Vector3();
+            }
+            object.previousPosition.copy(object.position);
+        });
+    }
+    
+    getInterpolatedObjects() {
+        const objects = this.enemies.concat(this.bullets, this.pickups, this.enemyProjectiles);
+        if (this.bladeGroup) objects.push(this.bladeGroup);
+        return objects;
+    }
+    
+    renderFrame(alpha) {
+        // Draw moving objects between their last two simulation states, then put the simulation state back
+        const interpolated = this.getInterpolatedObjects().filter(object => object.previousPosition);
+        
+        interpolated.forEach(object => {
+            if (!object.simPosition) {
+                object.simPosition = new THREE.Vector3();
+            }
+            object.simPosition.copy(object.position);
+            object.position.lerpVectors(object.previousPosition, object.simPosition, alpha);
+        });
+        
+        this.updateCamera(alpha);
         this.renderer.render(this.scene, this.camera);
+        
+        interpolated.forEach(object => {
+            object.position.copy(object.simPosition);
+        });
+    }
+    
+    toggleDebugOverlay() {
+        this.debugEnabled = !this.debugEnabled;
+        document.getElementById('debugOverlay').style.display = this.debugEnabled ? 'block' : 'none';
+    }
+    
+    updateDebugOverlay(frameTime, steps) {
+        const stats = this.debugStats;
+        stats.frames++;
+        stats.ticks += steps;
+        stats.elapsed += frameTime;
+        stats.stepsLastFrame = steps;
+        
+        // Refresh twice a second
+        if (stats.elapsed < 0.5) return;
+        
+        if (this.debugEnabled) {
+            const overlay = document.getElementById('debugOverlay');
+            overlay.style.display = 'block';
+            overlay.textContent = [
+                `FPS: ${(stats.frames / stats.elapsed).toFixed(0)}`,
+                `Sim ticks/s: ${(stats.ticks / stats.elapsed).toFixed(0)} (${(1 / this.simStep).toFixed(0)} Hz)`,
+                `Steps last frame: ${stats.stepsLastFrame}`,
+                `Clamped time: ${stats.clampedTime.toFixed(2)}s`,
+                `Particles: ${this.particleEngine.activeCount} / ${this.particleEngine.budget} (dropped ${this.particleEngine.dropped})`,
+                `Draw calls: ${this.renderer.info.render.calls}`,
+                `Triangles: ${this.renderer.info.render.triangles}`,
+                `World: ${this.worldMode}${this.worldMode === 'endless' ? ` (${this.terrainStreamer.chunks.size} chunks)` : ''}`
+            ].join('\n');
+        }
+        
+        stats.frames = 0;
+        stats.ticks = 0;
+        stats.elapsed = 0;
     }
 }
 